@@ -0,0 +1,292 @@
+// ===== Command-Line Runner =====
+// Runs a workload file to completion in Node with the same engine as the page
+// (scheduler.js) and prints an ASCII Gantt chart and the per-process results.
+//
+//   node cli.js <workload.json | processes.csv | -> [--trace] [--json] [--width N] [--max-time N]
+//
+// JSON files are the page's exports (see serializeWorkload()), including recorded
+// mid-run changes; CSV files hold processes only and run with DEFAULT_SETTINGS.
+// Exit codes: 0 finished, 1 invalid workload or unfinished run, 2 bad arguments.
+
+const fs = require("fs");
+const { DEFAULT_SETTINGS, computeStatistics, replayRun } = require("./scheduler.js");
+const { parseWorkloadJSON, parseProcessCSV } = require("./workload.js");
+const { coreLanes, changeMarkers } = require("./report.js");
+
+const USAGE = `Usage: node cli.js <workload.json | processes.csv | -> [options]
+
+Runs the workload to completion and prints an ASCII Gantt chart and the results table.
+"-" reads the workload from standard input.
+
+Options:
+  --trace        print each tick's queues and running processes
+  --json         print the results as JSON instead of text
+  --width N      wrap the Gantt chart at N columns (default 80)
+  --max-time N   stop the run at time N (default 10000)
+  -h, --help     show this help`;
+
+const CLI_DEFAULTS = {
+  file: null,
+  trace: false,
+  json: false,
+  width: 80,
+  maxTime: 10000
+};
+
+// ===== Arguments =====
+
+/**
+ * Options from the command line (without "node cli.js").
+ * @throws {Error} for unknown options, bad numbers or a missing file name
+ */
+function parseArgs(argv) {
+  const options = Object.assign({}, CLI_DEFAULTS, { help: false });
+  const number = (flag, value, min) => {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min) throw new Error(`${flag} needs a whole number of ${min} or more`);
+    return n;
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (arg === "--trace") {
+      options.trace = true;
+    } else if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "--width") {
+      options.width = number(arg, argv[++i], 20);
+    } else if (arg === "--max-time") {
+      options.maxTime = number(arg, argv[++i], 1);
+    } else if (arg.startsWith("-") && arg !== "-") {
+      throw new Error(`Unknown option ${arg}`);
+    } else if (options.file === null) {
+      options.file = arg;
+    } else {
+      throw new Error(`Unexpected argument ${arg}`);
+    }
+  }
+  if (options.file === null && !options.help) throw new Error("Missing workload file");
+  return options;
+}
+
+/**
+ * A workload from file text: JSON when it starts with "{", process CSV otherwise.
+ * @returns {{processes, settings, changes, errors: Array<{row, message}>}}
+ */
+function loadWorkload(text) {
+  if (text.trim().startsWith("{")) return parseWorkloadJSON(text);
+  const settings = Object.assign({}, DEFAULT_SETTINGS);
+  const parsed = parseProcessCSV(text, settings.levels);
+  return { processes: parsed.processes, settings, changes: [], errors: parsed.errors };
+}
+
+// ===== Text Output =====
+
+function formatNumber(value, digits = 2) {
+  return value === null ? "-" : String(Number(value.toFixed(digits)));
+}
+
+function padRight(text, width) {
+  return text + " ".repeat(Math.max(0, width - text.length));
+}
+
+/**
+ * One CPU lane as a textbook Gantt chart: a row of "| P1 |" cells with the
+ * boundary times under each bar, wrapped before `width` columns.
+ * @returns {string[]} lines, two per wrapped row
+ */
+function asciiGanttLane(blocks, width) {
+  if (blocks.length === 0) return ["(no blocks)"];
+  const rows = [];
+  let bars = "|";
+  let times = "";
+  blocks.forEach(block => {
+    const label = block.isIdle ? "-" : block.name;
+    const start = String(block.start);
+    // Room for the label, and for the start time under the left bar
+    const cell = Math.max(label.length + 2, start.length + 1);
+    if (bars.length > 1 && bars.length + cell + 1 > width) {
+      rows.push(bars, times + start);
+      bars = "|";
+      times = "";
+    }
+    const left = Math.floor((cell - label.length) / 2);
+    bars += padRight(" ".repeat(left) + label, cell) + "|";
+    times += padRight(start, cell + 1);
+  });
+  rows.push(bars, times + blocks[blocks.length - 1].end);
+  return rows;
+}
+
+function formatGantt(snapshot, width) {
+  const lines = [];
+  const multi = snapshot.cores.length > 1;
+  coreLanes(snapshot).forEach((blocks, lane) => {
+    if (multi) lines.push(`CPU ${lane + 1}`);
+    lines.push(...asciiGanttLane(blocks, width));
+    if (multi) lines.push("");
+  });
+  if (!multi) lines.push("");
+  if (snapshot.ioBlocks.length > 0) {
+    lines.push(`I/O: ${snapshot.ioBlocks.map(b => `${b.name} ${b.start}-${b.end}`).join(", ")}`);
+    lines.push("");
+  }
+  return lines;
+}
+
+// Columns of the results table, as on the page's Statistics panel
+const STAT_COLUMNS = [
+  ["Process", r => r.name],
+  ["Arrival", r => String(r.arrivalTime)],
+  ["Burst", r => String(r.burstTime)],
+  ["First Run", r => formatNumber(r.startTime)],
+  ["Completion", r => formatNumber(r.completionTime)],
+  ["Turnaround", r => formatNumber(r.turnaroundTime)],
+  ["Response", r => formatNumber(r.responseTime)],
+  ["Waiting", r => String(r.waitingTime)],
+  ["I/O", r => String(r.ioTime)],
+  ["Switches", r => String(r.contextSwitches)],
+  ["Promotions", r => String(r.promotions)],
+  ["Demotions", r => String(r.demotions)]
+];
+
+function formatStatistics(stats) {
+  const cells = [STAT_COLUMNS.map(([title]) => title)]
+    .concat(stats.processes.map(r => STAT_COLUMNS.map(([, value]) => value(r))));
+  const widths = STAT_COLUMNS.map((_, c) => Math.max(...cells.map(row => row[c].length)));
+  const line = row => row.map((cell, c) => padRight(cell, widths[c])).join("  ").trimEnd();
+  const perCore = stats.coreUtilization.length > 1
+    ? ` (${stats.coreUtilization.map((u, i) => `CPU ${i + 1}: ${formatNumber(u * 100, 1)}%`).join(", ")})`
+    : "";
+
+  return [
+    line(cells[0]),
+    widths.map(w => "-".repeat(w)).join("  "),
+    ...cells.slice(1).map(line),
+    "",
+    `Avg Waiting:      ${formatNumber(stats.averageWaitingTime)}`,
+    `Avg Turnaround:   ${formatNumber(stats.averageTurnaroundTime)}`,
+    `Avg Response:     ${formatNumber(stats.averageResponseTime)}`,
+    `Context Switches: ${stats.totalContextSwitches}`,
+    `Switch Overhead:  ${stats.switchTime} units (${stats.switchCount} switches)`,
+    `CPU Utilization:  ${formatNumber(stats.cpuUtilization * 100, 1)}%${perCore}`,
+    `Throughput:       ${formatNumber(stats.throughput, 3)} processes/unit`,
+    `Completed:        ${stats.completed} of ${stats.processes.length}`
+  ];
+}
+
+// One tick's queues, in the same words the page logs from renderUI()
+function formatTraceTick(snapshot) {
+  const queues = snapshot.readyQueues.map((q, i) => `Level ${i + 1}: [${q.map(p => p.name).join(", ")}]`);
+  if (snapshot.blockedQueue.length > 0) queues.push(`Blocked: [${snapshot.blockedQueue.map(p => p.name).join(", ")}]`);
+  const lines = [`Time ${snapshot.time}: Priority queues: ${queues.join(", ")}`];
+  snapshot.cores.forEach(core => {
+    lines.push(core.currentProcess
+      ? `  Current process on CPU ${core.id + 1}: ${core.currentProcess.name} (Priority ${core.currentProcess.priority})`
+      : `  CPU ${core.id + 1} idle`);
+  });
+  return lines;
+}
+
+function traceEntry(snapshot) {
+  return {
+    time: snapshot.time,
+    running: snapshot.cores.map(core => (core.currentProcess ? core.currentProcess.name : null)),
+    queues: snapshot.readyQueues.map(q => q.map(p => p.name)),
+    blocked: snapshot.blockedQueue.map(p => p.name)
+  };
+}
+
+function settingsSummary(settings, cpus) {
+  return `${settings.levels} levels, ${cpus} CPU${cpus > 1 ? "s" : ""}; ` +
+    `policy ${settings.policy.join(",")}; quantum ${settings.quantum.join(",")}; ` +
+    `aging ${settings.agingInterval}, starvation ${settings.starvationInterval}, ` +
+    `expiry demotion ${settings.expiryDemotionInterval}` +
+    (settings.preemptive ? "; preemptive" : "") +
+    (settings.contextSwitchCost > 0 ? `; switch cost ${settings.contextSwitchCost}` : "");
+}
+
+// ===== Main =====
+
+/**
+ * Run the CLI with `argv` (without "node cli.js"), writing through `out` and `err`.
+ * @returns {number} the exit code
+ */
+function main(argv, out = text => process.stdout.write(text + "\n"), err = text => process.stderr.write(text + "\n")) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (e) {
+    err(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    out(USAGE);
+    return 0;
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(options.file === "-" ? 0 : options.file, "utf8");
+  } catch (e) {
+    err(`Cannot read ${options.file}: ${e.message}`);
+    return 1;
+  }
+  const workload = loadWorkload(text);
+  if (workload.errors.length > 0) {
+    workload.errors.forEach(e => err(`${options.file}: ${e.row !== null ? `row ${e.row}: ` : ""}${e.message}`));
+    return 1;
+  }
+
+  // Snapshots per tick only for --trace; the event list comes with the final one
+  const trace = [];
+  const onStep = !options.trace ? null : snapshot => {
+    if (options.json) {
+      trace.push(traceEntry(snapshot));
+    } else {
+      formatTraceTick(snapshot).forEach(line => out(line));
+    }
+  };
+  const final = replayRun(workload.processes, workload.settings, workload.changes, options.maxTime, onStep);
+  const stats = computeStatistics(final);
+
+  if (options.json) {
+    const result = {
+      time: final.time,
+      complete: final.complete,
+      settings: final.settings,
+      statistics: stats,
+      gantt: coreLanes(final),
+      ioBlocks: final.ioBlocks,
+      changes: final.changes,
+      events: final.allEvents
+    };
+    if (options.trace) result.trace = trace;
+    out(JSON.stringify(result, null, 2));
+  } else {
+    if (options.trace) out("");
+    out(`Settings: ${settingsSummary(final.settings, final.cores.length)}`);
+    changeMarkers(final.changes).forEach(marker => out(`Change at t=${marker.time}: ${marker.label}`));
+    out("");
+    formatGantt(final, options.width).forEach(line => out(line));
+    formatStatistics(stats).forEach(line => out(line));
+  }
+
+  if (!final.complete) {
+    err(`Stopped at t=${final.time} (--max-time) before every process finished`);
+    return 1;
+  }
+  return 0;
+}
+
+if (require.main === module) {
+  // Output piped into e.g. `head` may close early; that is not an error
+  process.stdout.on("error", e => {
+    if (e.code === "EPIPE") process.exit(process.exitCode || 0);
+    throw e;
+  });
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { parseArgs, loadWorkload, asciiGanttLane, formatGantt, formatStatistics, formatTraceTick, main };
@@ -0,0 +1,75 @@
+// ===== Configuration Comparison =====
+// Runs one workload under several settings to completion and collects the
+// results side by side. Headless: shared by the page and Node.
+
+// The engine runs each config; MIN_LEVELS (workload.js) sizes the single-queue baselines
+const comparisonEngine = typeof module !== "undefined" && module.exports
+  ? Object.assign({ MIN_LEVELS: require("./workload.js").MIN_LEVELS }, require("./scheduler.js"))
+  : { Scheduler, DEFAULT_SETTINGS, computeStatistics, MIN_LEVELS };
+
+// Intervals that never trigger, i.e. plain MLQ without aging/starvation/expiry demotion
+const NO_PRIORITY_CHANGES = {
+  agingInterval: Infinity,
+  starvationInterval: Infinity,
+  expiryDemotionInterval: Infinity
+};
+
+// Classic single-queue scheduler: no priority changes, on the same CPUs and with the
+// same context-switch cost as `settings`. Settings need MIN_LEVELS levels, so each level
+// gets the same policy and `singleQueue` configs keep every process in level 1
+function singleLevelSettings(policy, settings) {
+  const defaults = comparisonEngine.DEFAULT_SETTINGS;
+  const levels = comparisonEngine.MIN_LEVELS;
+  return Object.assign({}, defaults, NO_PRIORITY_CHANGES, {
+    levels,
+    quantum: new Array(levels).fill(settings.quantum[0]),
+    policy: new Array(levels).fill(policy),
+    preemptive: false,
+    contextSwitchCost: settings.contextSwitchCost || 0,
+    cpus: settings.cpus || defaults.cpus,
+    cpuQueues: settings.cpuQueues || defaults.cpuQueues,
+    migration: settings.migration !== undefined ? settings.migration : defaults.migration
+  });
+}
+
+/**
+ * The built-in configurations for `settings`: the settings themselves, the same
+ * MLQ without aging/starvation, and FCFS/RR/SJF baselines (RR uses the level-1 quantum;
+ * all keep the CPU count and context-switch cost).
+ */
+function presetComparisonConfigs(settings) {
+  const q = settings.quantum[0];
+  return [
+    { name: "Current settings", settings },
+    { name: "Plain MLQ (no aging/starvation)", settings: Object.assign({}, settings, NO_PRIORITY_CHANGES) },
+    { name: "FCFS", settings: singleLevelSettings("FCFS", settings), singleQueue: true },
+    { name: `RR (q=${q})`, settings: singleLevelSettings("RR", settings), singleQueue: true },
+    { name: "SJF", settings: singleLevelSettings("SJF", settings), singleQueue: true }
+  ];
+}
+
+/**
+ * Run `processes` under each `{ name, settings, singleQueue }` config to completion.
+ * Priorities above a config's level count are clamped to its lowest level;
+ * `singleQueue` configs put every process in level 1.
+ * @returns {Array<{name: string, settings: object, snapshot: object, statistics: object}>}
+ */
+function runComparison(processes, configs, maxTime = 10000) {
+  return configs.map(config => {
+    const levels = config.settings.levels || comparisonEngine.DEFAULT_SETTINGS.levels;
+    const lowest = config.singleQueue ? 1 : levels;
+    const workload = processes.map(p => Object.assign({}, p, { priority: Math.min(p.priority, lowest) }));
+    const scheduler = new comparisonEngine.Scheduler(workload, config.settings);
+    const snapshot = scheduler.runToCompletion(maxTime);
+    return {
+      name: config.name,
+      settings: config.settings,
+      snapshot,
+      statistics: comparisonEngine.computeStatistics(snapshot)
+    };
+  });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { NO_PRIORITY_CHANGES, presetComparisonConfigs, runComparison };
+}
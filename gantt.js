@@ -0,0 +1,416 @@
+// ===== Canvas Gantt Chart =====
+// The page's Gantt chart (one lane per CPU, the I/O rows and the time axis) drawn
+// on a canvas. Only the part scrolled into view is drawn, so runs of thousands of
+// time units stay fast. The layout helpers are plain functions Node can
+// require("./gantt.js"); GanttCanvas itself needs the page.
+
+const GANTT_LANE_HEIGHT = 40;
+const GANTT_IO_ROW_HEIGHT = 20; // one I/O row per process that did I/O
+const GANTT_AXIS_HEIGHT = 22;
+const GANTT_DEFAULT_UNIT_PX = 40; // width of one time unit before any zooming
+const GANTT_MIN_UNIT_PX = 0.01;
+const GANTT_MAX_UNIT_PX = 120;
+const GANTT_ZOOM_STEP = 1.5; // factor per zoom in/out click
+const GANTT_MIN_LABEL_GAP_PX = 40; // axis labels closer than this are thinned out
+const GANTT_END_PAD_PX = 20; // room after the last block
+const GANTT_MARKER_HIT_PX = 4; // hover distance for change markers
+
+// Same colors as the exported SVG (report.js)
+const GANTT_COLORS = {
+  background: "#f8f9fa",
+  process: "#add8e6",
+  idle: "#ffc107",
+  switch: "#ced4da",
+  border: "#000",
+  text: "#333",
+  preempted: "#dc3545",
+  highlight: "#dc3545",
+  io: "#d4edda",
+  ioBorder: "#28a745",
+  ioText: "#155724",
+  marker: "#6f42c1",
+  axis: "#666",
+  label: "rgba(52, 58, 64, 0.8)"
+};
+
+// ===== Layout Helpers =====
+
+// Smallest "nice" label step (1, 2, 5, 10, 20, 50, ...) that keeps axis labels `minGap` px apart
+function ganttTickStep(unitPx, minGap = GANTT_MIN_LABEL_GAP_PX) {
+  for (let magnitude = 1; ; magnitude *= 10) {
+    for (const multiple of [1, 2, 5]) {
+      if (multiple * magnitude * unitPx >= minGap) return multiple * magnitude;
+    }
+  }
+}
+
+// Index of the first block ending after `time` (blocks are in time order and never overlap)
+function firstBlockAfter(blocks, time) {
+  let low = 0;
+  let high = blocks.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (blocks[mid].end <= time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+// Index of the block covering `time`, or -1
+function blockIndexAt(blocks, time) {
+  const index = firstBlockAfter(blocks, time);
+  return index < blocks.length && blocks[index].start <= time ? index : -1;
+}
+
+// I/O blocks grouped into one row per process, in order of first I/O: [{ name, blocks }, ...]
+function ganttIORows(ioBlocks) {
+  const rows = new Map();
+  ioBlocks.filter(block => block.end > block.start).forEach(block => {
+    if (!rows.has(block.name)) rows.set(block.name, []);
+    rows.get(block.name).push(block);
+  });
+  return Array.from(rows, ([name, blocks]) => ({ name, blocks }));
+}
+
+// Tooltip text for a Gantt block
+function describeGanttBlock(block) {
+  const span = `${block.start}-${block.end} (${block.end - block.start} unit${block.end - block.start === 1 ? "" : "s"})`;
+  if (block.isIdle) return `Idle: ${span}`;
+  if (block.isSwitch) return `Context switch: ${span}`;
+  return `${block.name}: ${span}${block.preempted ? `, preempted at ${block.end}` : ""}`;
+}
+
+// ===== Renderer =====
+
+/**
+ * Canvas Gantt chart with its own horizontal scrollbar (`scrollbar` holds one wide
+ * child that sets the scroll width), zooming and hover tooltips. Call setData()
+ * whenever the shown snapshot changes.
+ */
+class GanttCanvas {
+  constructor(canvas, scrollbar, tooltip) {
+    this.canvas = canvas;
+    this.scrollbar = scrollbar;
+    this.tooltip = tooltip;
+    this.unit = GANTT_DEFAULT_UNIT_PX;
+    this.fit = false; // after "Fit to Width", keep the whole run in view as it grows
+    this.lanes = [];
+    this.ioRows = [];
+    this.markers = [];
+    this.endTime = 1;
+    this.highlight = null; // { lane, index } of the highlighted block
+    this.onZoom = null; // called after the unit width changes
+
+    scrollbar.addEventListener("scroll", () => this.draw());
+    canvas.addEventListener("mousemove", e => this.showTooltip(e.offsetX, e.offsetY));
+    canvas.addEventListener("mouseleave", () => { tooltip.hidden = true; });
+    canvas.addEventListener("wheel", e => this.handleWheel(e), { passive: false });
+    window.addEventListener("resize", () => this.refit());
+  }
+
+  /**
+   * Show new data: `lanes` holds one block list per CPU, `ioBlocks` the snapshot's
+   * I/O blocks, `markers` the change markers (see changeMarkers()). A view scrolled
+   * to the end stays there as the run grows.
+   */
+  setData({ lanes, ioBlocks = [], markers = [], highlight = null }) {
+    const following = this.scrollbar.scrollLeft >= this.maxScroll() - 1;
+    this.lanes = lanes;
+    this.ioRows = ganttIORows(ioBlocks);
+    this.markers = markers;
+    this.highlight = highlight;
+    const ends = lanes.map(blocks => (blocks.length > 0 ? blocks[blocks.length - 1].end : 0));
+    this.endTime = Math.max(1, ...ends, ...this.ioRows.map(row => row.blocks[row.blocks.length - 1].end));
+    if (this.fit) this.unit = this.fitUnit();
+    this.updateScrollWidth();
+    if (following) this.scrollbar.scrollLeft = this.maxScroll();
+    this.draw();
+  }
+
+  clear() {
+    this.setData({ lanes: [] });
+    this.scrollbar.scrollLeft = 0;
+    this.tooltip.hidden = true;
+  }
+
+  setHighlight(highlight) {
+    this.highlight = highlight;
+    this.draw();
+  }
+
+  // Scroll so `time` is just right of the left edge
+  scrollToTime(time) {
+    this.scrollbar.scrollLeft = Math.max(0, (time - 1) * this.unit);
+    this.draw();
+  }
+
+  // ===== Zoom =====
+
+  viewWidth() {
+    return Math.max(1, this.canvas.parentElement.clientWidth);
+  }
+
+  contentWidth() {
+    return Math.ceil(this.endTime * this.unit) + GANTT_END_PAD_PX;
+  }
+
+  maxScroll() {
+    return Math.max(0, this.contentWidth() - this.viewWidth());
+  }
+
+  fitUnit() {
+    const unit = (this.viewWidth() - GANTT_END_PAD_PX) / this.endTime;
+    return Math.min(GANTT_MAX_UNIT_PX, Math.max(GANTT_MIN_UNIT_PX, unit));
+  }
+
+  updateScrollWidth() {
+    this.scrollbar.firstElementChild.style.width = `${this.contentWidth()}px`;
+  }
+
+  setUnit(unit) {
+    this.unit = Math.min(GANTT_MAX_UNIT_PX, Math.max(GANTT_MIN_UNIT_PX, unit));
+    this.updateScrollWidth();
+    if (this.onZoom) this.onZoom(this.unit);
+  }
+
+  // Zoom by `factor`, keeping the time under `anchorX` (px from the left edge) in place
+  zoomBy(factor, anchorX = this.viewWidth() / 2) {
+    const time = (this.scrollbar.scrollLeft + anchorX) / this.unit;
+    this.fit = false;
+    this.setUnit(this.unit * factor);
+    this.scrollbar.scrollLeft = Math.max(0, time * this.unit - anchorX);
+    this.draw();
+  }
+
+  fitToWidth() {
+    this.fit = true;
+    this.setUnit(this.fitUnit());
+    this.scrollbar.scrollLeft = 0;
+    this.draw();
+  }
+
+  // Window resized: a fitted chart fits the new width
+  refit() {
+    if (this.fit) this.setUnit(this.fitUnit());
+    this.draw();
+  }
+
+  // Ctrl+wheel zooms around the pointer; horizontal (or Shift+) wheel scrolls the timeline
+  handleWheel(e) {
+    if (e.ctrlKey) {
+      e.preventDefault();
+      this.zoomBy(e.deltaY < 0 ? GANTT_ZOOM_STEP : 1 / GANTT_ZOOM_STEP, e.offsetX);
+    } else if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+      e.preventDefault();
+      this.scrollbar.scrollLeft += e.deltaX || e.deltaY;
+    }
+  }
+
+  // ===== Drawing =====
+
+  height() {
+    return this.lanes.length * GANTT_LANE_HEIGHT + this.ioRows.length * GANTT_IO_ROW_HEIGHT + GANTT_AXIS_HEIGHT;
+  }
+
+  // Canvas x of a time
+  timeX(time) {
+    return time * this.unit - this.scrollbar.scrollLeft;
+  }
+
+  draw() {
+    const width = this.viewWidth();
+    const height = this.height();
+    const ratio = window.devicePixelRatio || 1;
+    // Size the backing store for sharp lines on high-DPI screens
+    if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+      this.canvas.width = Math.round(width * ratio);
+      this.canvas.height = Math.round(height * ratio);
+      this.canvas.style.width = `${width}px`;
+      this.canvas.style.height = `${height}px`;
+    }
+    const ctx = this.canvas.getContext("2d");
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.fillStyle = GANTT_COLORS.background;
+    ctx.fillRect(0, 0, width, height);
+
+    // Visible time window
+    const from = this.scrollbar.scrollLeft / this.unit;
+    const to = (this.scrollbar.scrollLeft + width) / this.unit;
+
+    this.lanes.forEach((blocks, lane) => {
+      const top = lane * GANTT_LANE_HEIGHT;
+      for (let i = firstBlockAfter(blocks, from); i < blocks.length && blocks[i].start < to; i++) {
+        this.drawBlock(ctx, blocks[i], top);
+      }
+    });
+    this.drawHighlight(ctx);
+
+    const ioTop = this.lanes.length * GANTT_LANE_HEIGHT;
+    this.ioRows.forEach((row, i) => {
+      const top = ioTop + i * GANTT_IO_ROW_HEIGHT;
+      for (let j = firstBlockAfter(row.blocks, from); j < row.blocks.length && row.blocks[j].start < to; j++) {
+        this.drawIOBlock(ctx, row.blocks[j], top);
+      }
+    });
+
+    this.drawMarkers(ctx, ioTop + this.ioRows.length * GANTT_IO_ROW_HEIGHT);
+    if (this.lanes.length > 1) this.drawLaneLabels(ctx);
+    this.drawAxis(ctx, from, to, height - GANTT_AXIS_HEIGHT);
+  }
+
+  // Text centered in a box, left out when it does not fit
+  drawLabel(ctx, text, x, w, middle) {
+    if (ctx.measureText(text).width + 4 > w) return;
+    ctx.fillText(text, x + w / 2, middle);
+  }
+
+  drawBlock(ctx, block, top) {
+    const x = this.timeX(block.start);
+    const w = (block.end - block.start) * this.unit;
+    ctx.fillStyle = block.isIdle ? GANTT_COLORS.idle : block.isSwitch ? GANTT_COLORS.switch : GANTT_COLORS.process;
+    ctx.fillRect(x, top, w, GANTT_LANE_HEIGHT);
+    // Borders only where they leave room for the fill
+    if (w >= 3) {
+      ctx.strokeStyle = GANTT_COLORS.border;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x + 0.5, top + 0.5, w - 1, GANTT_LANE_HEIGHT - 1);
+    }
+    if (block.preempted) {
+      const edge = Math.min(4, w / 2);
+      ctx.fillStyle = GANTT_COLORS.preempted;
+      ctx.fillRect(x + w - edge, top, edge, GANTT_LANE_HEIGHT);
+    }
+    ctx.font = "bold 13px Arial, sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = GANTT_COLORS.text;
+    this.drawLabel(ctx, block.name, x, w, top + GANTT_LANE_HEIGHT / 2);
+  }
+
+  drawHighlight(ctx) {
+    if (!this.highlight || !this.lanes[this.highlight.lane]) return;
+    const block = this.lanes[this.highlight.lane][this.highlight.index];
+    if (!block) return;
+    const w = Math.max(2, (block.end - block.start) * this.unit);
+    ctx.strokeStyle = GANTT_COLORS.highlight;
+    ctx.lineWidth = 3;
+    ctx.strokeRect(this.timeX(block.start) + 1.5, this.highlight.lane * GANTT_LANE_HEIGHT + 1.5, w - 3, GANTT_LANE_HEIGHT - 3);
+  }
+
+  drawIOBlock(ctx, block, top) {
+    const x = this.timeX(block.start);
+    const w = (block.end - block.start) * this.unit;
+    ctx.fillStyle = GANTT_COLORS.io;
+    ctx.fillRect(x, top + 1, w, GANTT_IO_ROW_HEIGHT - 2);
+    if (w >= 3) {
+      ctx.strokeStyle = GANTT_COLORS.ioBorder;
+      ctx.lineWidth = 1;
+      ctx.strokeRect(x + 0.5, top + 1.5, w - 1, GANTT_IO_ROW_HEIGHT - 3);
+    }
+    ctx.font = "11px Arial, sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = GANTT_COLORS.ioText;
+    this.drawLabel(ctx, `${block.name} I/O`, x, w, top + GANTT_IO_ROW_HEIGHT / 2);
+  }
+
+  // Dashed line down the lanes and I/O rows at each change
+  drawMarkers(ctx, bottom) {
+    ctx.strokeStyle = GANTT_COLORS.marker;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 3]);
+    this.markers.forEach(marker => {
+      const x = this.timeX(marker.time);
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, bottom);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+  }
+
+  // "CPU n" tags pinned to the left edge
+  drawLaneLabels(ctx) {
+    ctx.font = "bold 11px Arial, sans-serif";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    this.lanes.forEach((_, lane) => {
+      const text = `CPU ${lane + 1}`;
+      const top = lane * GANTT_LANE_HEIGHT;
+      ctx.fillStyle = GANTT_COLORS.label;
+      ctx.fillRect(0, top, ctx.measureText(text).width + 8, 15);
+      ctx.fillStyle = "#fff";
+      ctx.fillText(text, 4, top + 2);
+    });
+  }
+
+  // A tick per unit while units are wide enough, labels every ganttTickStep() units
+  drawAxis(ctx, from, to, top) {
+    const step = ganttTickStep(this.unit);
+    const minor = this.unit >= 6 ? 1 : step;
+    const first = Math.max(0, Math.floor(from / minor) * minor);
+    const last = Math.min(this.endTime, Math.ceil(to));
+    ctx.strokeStyle = GANTT_COLORS.axis;
+    ctx.fillStyle = GANTT_COLORS.axis;
+    ctx.lineWidth = 1;
+    ctx.font = "12px Arial, sans-serif";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    for (let t = first; t <= last; t += minor) {
+      const x = Math.round(this.timeX(t)) + 0.5;
+      const labeled = t % step === 0;
+      ctx.beginPath();
+      ctx.moveTo(x, top);
+      ctx.lineTo(x, top + (labeled ? 6 : 3));
+      ctx.stroke();
+      if (labeled) ctx.fillText(String(t), x + 2, top + 6);
+    }
+  }
+
+  // ===== Tooltips =====
+
+  // What is under a canvas point: a change marker, a Gantt block or an I/O block (null for nothing)
+  itemAt(x, y) {
+    const time = (x + this.scrollbar.scrollLeft) / this.unit;
+    const ioTop = this.lanes.length * GANTT_LANE_HEIGHT;
+    const axisTop = ioTop + this.ioRows.length * GANTT_IO_ROW_HEIGHT;
+    if (y < axisTop) {
+      const marker = this.markers.find(m => Math.abs(this.timeX(m.time) - x) <= GANTT_MARKER_HIT_PX);
+      if (marker) return { text: `t=${marker.time}: ${marker.label}` };
+    }
+    if (y < ioTop) {
+      const lane = Math.floor(y / GANTT_LANE_HEIGHT);
+      const blocks = this.lanes[lane];
+      const index = blockIndexAt(blocks, time);
+      if (index === -1) return null;
+      const cpu = this.lanes.length > 1 ? `CPU ${lane + 1} - ` : "";
+      return { text: cpu + describeGanttBlock(blocks[index]), lane, index };
+    }
+    if (y < axisTop) {
+      const row = this.ioRows[Math.floor((y - ioTop) / GANTT_IO_ROW_HEIGHT)];
+      const index = blockIndexAt(row.blocks, time);
+      if (index === -1) return null;
+      const block = row.blocks[index];
+      return { text: `${row.name} I/O: ${block.start}-${block.end}` };
+    }
+    return null;
+  }
+
+  showTooltip(x, y) {
+    const item = this.itemAt(x, y);
+    this.tooltip.hidden = item === null;
+    if (item === null) return;
+    this.tooltip.textContent = item.text;
+    // Flip to the left of the pointer near the right edge
+    const left = x + 12 + this.tooltip.offsetWidth > this.viewWidth() ? x - 12 - this.tooltip.offsetWidth : x + 12;
+    this.tooltip.style.left = `${Math.max(0, left)}px`;
+    this.tooltip.style.top = `${y + 12}px`;
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ganttTickStep, firstBlockAfter, blockIndexAt, ganttIORows, describeGanttBlock, GanttCanvas };
+}
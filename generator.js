@@ -0,0 +1,196 @@
+// ===== Random Workload Generator =====
+// Seeded random process tables for fresh exercises. Headless: shared by the
+// page (script.js) and Node (require("./generator.js")). The same seed and
+// options always give the same processes.
+
+const ARRIVAL_DISTRIBUTIONS = {
+  uniform: "Uniform (spread over 0..last arrival)",
+  poisson: "Poisson (random gaps around a mean)"
+};
+
+const BURST_DISTRIBUTIONS = {
+  uniform: "Uniform (min..max)",
+  exponential: "Exponential (around a mean)",
+  bimodal: "Bimodal (mostly short, some long)"
+};
+
+const MAX_GENERATED_PROCESSES = 100;
+
+const GENERATOR_DEFAULTS = {
+  count: 7,
+  arrival: "uniform",
+  lastArrival: 20, // uniform: arrivals fall in 0..lastArrival
+  meanInterarrival: 3, // poisson: mean gap between arrivals
+  burst: "uniform",
+  minBurst: 1,
+  maxBurst: 15,
+  meanBurst: 6, // exponential
+  shortShare: 0.7, // bimodal: fraction of short jobs
+  priorityWeights: null, // one weight per level; null = every level equally likely
+  seed: "" // empty = pick a new seed
+};
+
+// ===== Seeded Random Numbers =====
+
+// 32-bit FNV-1a hash, so any text works as a seed
+function hashSeed(seed) {
+  let h = 0x811c9dc5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: small, fast and good enough for exercises; returns floats in [0, 1)
+function createRandom(seed) {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 2176782336).toString(36); // up to 6 base-36 characters
+}
+
+function randomInt(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+function randomExponential(random, mean) {
+  return -mean * Math.log(1 - random());
+}
+
+// ===== Distributions =====
+
+function sampleArrivals(random, options) {
+  if (options.arrival === "poisson") {
+    // Poisson process: exponential gaps between consecutive arrivals
+    const arrivals = [];
+    let t = 0;
+    for (let i = 0; i < options.count; i++) {
+      t += randomExponential(random, options.meanInterarrival);
+      arrivals.push(Math.floor(t));
+    }
+    return arrivals;
+  }
+  const arrivals = [];
+  for (let i = 0; i < options.count; i++) arrivals.push(randomInt(random, 0, options.lastArrival));
+  return arrivals.sort((a, b) => a - b);
+}
+
+function sampleBurst(random, options) {
+  const { minBurst, maxBurst } = options;
+  if (options.burst === "exponential") {
+    const burst = Math.round(randomExponential(random, options.meanBurst));
+    return Math.min(maxBurst, Math.max(minBurst, burst));
+  }
+  if (options.burst === "bimodal") {
+    // Short jobs from the bottom quarter of the range, long jobs from the top quarter
+    const band = Math.floor((maxBurst - minBurst) / 4);
+    return random() < options.shortShare
+      ? randomInt(random, minBurst, minBurst + band)
+      : randomInt(random, maxBurst - band, maxBurst);
+  }
+  return randomInt(random, minBurst, maxBurst);
+}
+
+function samplePriority(random, weights) {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let r = random() * total;
+  for (let i = 0; i < weights.length; i++) {
+    r -= weights[i];
+    if (r < 0 && weights[i] > 0) return i + 1;
+  }
+  // Rounding left r at 0: the last level with any weight
+  for (let i = weights.length - 1; i >= 0; i--) {
+    if (weights[i] > 0) return i + 1;
+  }
+  return 1;
+}
+
+// ===== Generator =====
+
+// Problems with generator options for a run with `levels` levels, as messages (empty when valid)
+function validateGeneratorOptions(options, levels) {
+  const errors = [];
+  const whole = (value, min, label) => {
+    if (!Number.isInteger(value) || value < min) errors.push(`${label} must be a whole number of ${min} or more`);
+  };
+  const positive = (value, label) => {
+    if (typeof value !== "number" || !(value > 0) || !Number.isFinite(value)) errors.push(`${label} must be a number above 0`);
+  };
+  if (!Number.isInteger(options.count) || options.count < 1 || options.count > MAX_GENERATED_PROCESSES) {
+    errors.push(`number of processes must be between 1 and ${MAX_GENERATED_PROCESSES}`);
+  }
+  if (!ARRIVAL_DISTRIBUTIONS[options.arrival]) {
+    errors.push(`arrival distribution must be one of ${Object.keys(ARRIVAL_DISTRIBUTIONS).join(", ")}`);
+  } else if (options.arrival === "poisson") {
+    positive(options.meanInterarrival, "mean inter-arrival time");
+  } else {
+    whole(options.lastArrival, 0, "last arrival");
+  }
+  if (!BURST_DISTRIBUTIONS[options.burst]) {
+    errors.push(`burst distribution must be one of ${Object.keys(BURST_DISTRIBUTIONS).join(", ")}`);
+  }
+  whole(options.minBurst, 1, "minimum burst");
+  if (!Number.isInteger(options.maxBurst) || options.maxBurst < options.minBurst) {
+    errors.push("maximum burst must be a whole number no smaller than the minimum burst");
+  }
+  if (options.burst === "exponential") positive(options.meanBurst, "mean burst");
+  if (options.burst === "bimodal" && !(options.shortShare >= 0 && options.shortShare <= 1)) {
+    errors.push("short job share must be between 0 and 1");
+  }
+  const weights = options.priorityWeights;
+  if (weights !== null && weights !== undefined) {
+    if (!Array.isArray(weights) || weights.length !== levels) {
+      errors.push(`priority mix must have one weight per level (${levels})`);
+    } else if (!weights.every(w => typeof w === "number" && Number.isFinite(w) && w >= 0)) {
+      errors.push("priority weights must be numbers of 0 or more");
+    } else if (!weights.some(w => w > 0)) {
+      errors.push("at least one priority level needs a weight above 0");
+    }
+  }
+  return errors;
+}
+
+/**
+ * Random processes for a run with `levels` priority levels, ordered by arrival.
+ * Options missing from `options` come from GENERATOR_DEFAULTS; an empty seed picks
+ * a new one. Processes have no names: the caller numbers them.
+ * @returns {{seed: string, processes: Array<{arrivalTime: number, burstTime: number, priority: number}>}}
+ * @throws {RangeError} when the options fail validateGeneratorOptions()
+ */
+function generateWorkload(options, levels) {
+  const merged = Object.assign({}, GENERATOR_DEFAULTS, options);
+  const errors = validateGeneratorOptions(merged, levels);
+  if (errors.length > 0) throw new RangeError(`Invalid generator options: ${errors[0]}`);
+
+  const seed = String(merged.seed).trim() || randomSeed();
+  const random = createRandom(seed);
+  const weights = merged.priorityWeights || Array.from({ length: levels }, () => 1);
+  const processes = sampleArrivals(random, merged).map(arrivalTime => ({
+    arrivalTime,
+    burstTime: sampleBurst(random, merged),
+    priority: samplePriority(random, weights)
+  }));
+  return { seed, processes };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ARRIVAL_DISTRIBUTIONS,
+    BURST_DISTRIBUTIONS,
+    GENERATOR_DEFAULTS,
+    MAX_GENERATED_PROCESSES,
+    createRandom,
+    validateGeneratorOptions,
+    generateWorkload
+  };
+}
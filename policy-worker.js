@@ -0,0 +1,17 @@
+// ===== Custom Policy Worker =====
+// Runs a custom policy (policy.js) off the page: policy code cannot reach the DOM or
+// the page's state, and the page terminates this worker when it takes longer than
+// POLICY_TIME_LIMIT_MS. One message in ({ source, processes, settings, changes,
+// maxSteps }), one message out: { run } (see runPolicy(): the final snapshot and the
+// hooks' answers, not a snapshot per tick) or { error }.
+
+importScripts("scheduler.js", "policy.js");
+
+self.onmessage = event => {
+  const { source, processes, settings, changes, maxSteps } = event.data;
+  try {
+    self.postMessage({ run: runPolicy(source, processes, settings, changes, maxSteps) });
+  } catch (e) {
+    self.postMessage({ error: e.message });
+  }
+};
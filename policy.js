@@ -0,0 +1,239 @@
+// ===== Custom Scheduling Policies =====
+// Student-written hook functions (POLICY_HOOKS in scheduler.js) compiled from
+// source text, whole runs under them, and playback of a finished run. Headless:
+// policy-worker.js runs policy code in a Web Worker so it never executes in the
+// page, and the page replays the run from the hook answers it sends back
+// (PolicyPlayback). Node can require("./policy.js") directly.
+
+// The engine the hooks plug into; policy-worker.js imports scheduler.js ahead of this file
+const policyEngine = typeof module !== "undefined" && module.exports
+  ? require("./scheduler.js")
+  : { Scheduler, POLICY_HOOKS };
+
+// Runs stop at this time even when processes remain (the worker's step limit)
+const POLICY_STEP_LIMIT = 10000;
+// A run fails after this many hook calls, whatever its length (about 100 per tick of the step limit)
+const POLICY_HOOK_CALL_LIMIT = 1000000;
+// The page terminates a worker that has not answered by then, e.g. a hook that never returns
+const POLICY_TIME_LIMIT_MS = 10000;
+
+// Names policy code cannot see directly. The worker is the boundary that matters
+// (no DOM, no page state, killed on timeout); this keeps honest code away from the
+// worker's messaging and the network.
+const POLICY_HIDDEN_GLOBALS = [
+  "self", "globalThis", "window", "document", "postMessage", "importScripts",
+  "fetch", "XMLHttpRequest", "WebSocket", "Worker", "require", "module", "process"
+];
+
+const POLICY_EXAMPLES = {
+  template: {
+    name: "Empty template (built-in rules)",
+    source: `// Custom scheduling policy. Define any of the hooks below; a hook you leave out
+// keeps the built-in rule, so this template schedules exactly like the built-in MLQ.
+// Levels run from 1 (highest) to state.levels. Hooks get copies: change the run
+// only through their return values. Top-level variables keep their values for the run.
+//
+// state:   { time, levels, cpus, settings, queues: [[process, ...] per level],
+//            running: [process or null per CPU], blocked: [process, ...] }
+// process: { name, arrivalTime, burstTime, remainingTime, nextBurst, priority (current level),
+//            basePriority, waitingTime, processingTime, totalWaitingTime, promotions, demotions, cpu }
+
+// Level an arriving process joins (default: its priority)
+// function onArrival(process, state) {
+//   return process.priority;
+// }
+
+// Name of the ready process CPU number \`cpu\` runs next, or null for the built-in choice
+// function selectNext(state, cpu) {
+//   return null;
+// }
+
+// Level a process moves to when its RR quantum runs out (default: expiry demotion rule)
+// function onQuantumExpire(process, state) {
+//   return process.priority;
+// }
+
+// Level changes after each tick: [{ name, level, reason }]. Defining it turns off the
+// built-in aging and starvation rules. A running process that moves gives up its CPU
+// function onTick(state) {
+//   return [];
+// }
+`
+  },
+  mlfq: {
+    name: "MLFQ with periodic boost",
+    source: `// Multi-level feedback queue: every process starts at the top level and drops one
+// level each time it uses up a whole quantum. Every BOOST_INTERVAL ticks all waiting
+// processes go back to the top, so long jobs cannot starve.
+const BOOST_INTERVAL = 20;
+
+function onArrival(process, state) {
+  return 1;
+}
+
+function onQuantumExpire(process, state) {
+  return Math.min(process.priority + 1, state.levels);
+}
+
+function onTick(state) {
+  if (state.time % BOOST_INTERVAL !== 0) return [];
+  const waiting = state.queues.flat().concat(state.blocked);
+  return waiting
+    .filter(p => p.priority > 1)
+    .map(p => ({ name: p.name, level: 1, reason: "periodic boost" }));
+}
+`
+  },
+  "shortest-first": {
+    name: "Shortest next burst across all levels",
+    source: `// Shortest job first over every level: levels only set the RR quanta. The ready
+// process with the shortest next CPU burst runs; ties go to the higher level.
+// onTick makes no moves, so aging and starvation are off and long jobs can starve.
+function selectNext(state, cpu) {
+  let best = null;
+  state.queues.forEach(queue => queue.forEach(p => {
+    const allowed = p.cpu === null || p.cpu === cpu; // per-CPU queues
+    if (allowed && (best === null || p.nextBurst < best.nextBurst)) best = p;
+  }));
+  return best ? best.name : null;
+}
+
+function onTick(state) {
+  return [];
+}
+`
+  },
+  "response-ratio": {
+    name: "Response-ratio aging",
+    source: `// Aging by response ratio instead of fixed intervals: a waiting process moves up a
+// level once it has waited twice its next CPU burst, and a process that has run
+// RUN_LIMIT units at one level moves down.
+const RUN_LIMIT = 8;
+
+function onTick(state) {
+  const moves = [];
+  state.queues.forEach(queue => queue.forEach(p => {
+    if (p.priority > 1 && p.waitingTime >= 2 * p.nextBurst) {
+      moves.push({ name: p.name, level: p.priority - 1, reason: "waited twice its burst" });
+    }
+  }));
+  state.running.forEach(p => {
+    if (p && p.processingTime >= RUN_LIMIT && p.priority < state.levels) {
+      moves.push({ name: p.name, level: p.priority + 1, reason: "ran " + RUN_LIMIT + " units" });
+    }
+  });
+  return moves;
+}
+`
+  }
+};
+
+/**
+ * Compile policy source into its hooks: top-level functions (or constants) named after
+ * POLICY_HOOKS. Run it inside the worker only; in the page it would run with full access.
+ * A source without hooks (like the template) compiles to none: the built-in rules apply.
+ * @returns {object} hooks, e.g. { onTick: function }
+ * @throws {SyntaxError} when the source does not parse
+ * @throws {Error} when loading it fails or a hook is not a function
+ */
+function compilePolicy(source) {
+  const names = Object.keys(policyEngine.POLICY_HOOKS);
+  const pick = names.map(name => `${name}: typeof ${name} === "undefined" ? undefined : ${name}`).join(", ");
+  let factory;
+  try {
+    factory = new Function(...POLICY_HIDDEN_GLOBALS, `"use strict";\n${source}\nreturn { ${pick} };`);
+  } catch (e) {
+    throw new SyntaxError(`Policy does not compile: ${e.message}`);
+  }
+  let defined;
+  try {
+    defined = factory();
+  } catch (e) {
+    throw new Error(`Policy failed while loading: ${e.message}`);
+  }
+
+  const hooks = {};
+  names.forEach(name => {
+    if (defined[name] === undefined) return;
+    if (typeof defined[name] !== "function") throw new Error(`Policy hook ${name} must be a function`);
+    hooks[name] = defined[name];
+  });
+  return hooks;
+}
+
+/**
+ * Run `processes` to completion under a custom policy, applying recorded `changes`
+ * (a workload's mid-run changes) as replayRun() does. Stops at `maxSteps` ticks; fails
+ * after POLICY_HOOK_CALL_LIMIT hook calls.
+ * @returns {{final: object, hooks: string[], answers: Array}} the last snapshot, the hooks
+ *   the policy defines and every hook call's answer in call order: all PolicyPlayback
+ *   needs to replay the run, without a snapshot per tick
+ * @throws {Error} when the policy does not compile, or a hook throws or returns a bad value
+ */
+function runPolicy(source, processes, settings, changes = [], maxSteps = POLICY_STEP_LIMIT) {
+  const hooks = compilePolicy(source);
+  const scheduler = new policyEngine.Scheduler(processes, settings, {
+    policyHooks: hooks,
+    recordHooks: true,
+    maxHookCalls: POLICY_HOOK_CALL_LIMIT
+  });
+  const pending = changes.slice(); // recorded in time order
+  const applyDue = () => {
+    while (pending.length > 0 && pending[0].time <= scheduler.currentTime) scheduler.applyChange(pending.shift());
+  };
+  applyDue();
+  while (!scheduler.isComplete() && scheduler.currentTime < maxSteps) {
+    scheduler.tick();
+    applyDue();
+  }
+  return { final: scheduler.getSnapshot(), hooks: Object.keys(hooks), answers: scheduler.hookAnswers };
+}
+
+/**
+ * A finished custom-policy run (runPolicy()'s result) replayed by the engine in the page:
+ * each hook call gets the answer the policy gave in the worker, so no policy code runs
+ * here. It is a Scheduler for the page's rendering, rewinding and event log; the caller
+ * applies the run's recorded changes as for any run. Settings edits and injections cannot
+ * change it, since the answers belong to the run as computed.
+ */
+class PolicyPlayback extends policyEngine.Scheduler {
+  constructor(processes, settings, run) {
+    // Stand-ins that mark which hooks the policy defines; the answers come from the run
+    const hooks = {};
+    run.hooks.forEach(name => { hooks[name] = () => null; });
+    super(processes, settings, { policyHooks: hooks, hookAnswers: run.answers });
+    this.endTime = run.final.time;
+    this.truncated = !run.final.complete; // cut off by the step limit
+  }
+
+  // A truncated run ends where the worker stopped, so the page's forward controls stop there
+  isComplete() {
+    return super.isComplete() || this.currentTime >= this.endTime;
+  }
+
+  updateSettings() {}
+
+  applyChange(change) {
+    if (change.type === "inject") {
+      super.injectProcess(change.process);
+    } else if (change.type === "settings") {
+      super.updateSettings(change.settings);
+    }
+  }
+
+  injectProcess() {
+    throw new Error("A custom policy run is computed in advance; processes cannot be injected into it.");
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    POLICY_STEP_LIMIT,
+    POLICY_HOOK_CALL_LIMIT,
+    POLICY_TIME_LIMIT_MS,
+    POLICY_EXAMPLES,
+    compilePolicy,
+    runPolicy,
+    PolicyPlayback
+  };
+}
@@ -0,0 +1,201 @@
+// ===== Quiz Mode =====
+// Headless checks for student predictions: where processes are after the next
+// tick, or the final Gantt chart. Answers are compared with engine snapshots and
+// mistakes are explained from the tick's events with the engine's own rules.
+// Shared by the page (script.js) and Node (require("./quiz.js")).
+
+const QUIZ_QUESTIONS = {
+  "next-process": "Which process holds the CPU after the next tick?",
+  queues: "Where is each process after the next tick?",
+  gantt: "What will the final Gantt chart look like?"
+};
+
+// How each policy picks from its level (see orderQueue())
+const POLICY_RULES = {
+  RR: "first in line",
+  FCFS: "first in line",
+  SJF: "shortest next CPU burst",
+  SRTF: "shortest remaining CPU burst",
+  PRIORITY: "lowest submitted priority number"
+};
+
+/**
+ * Where a process is in a snapshot, as a key: "running" ("cpu2" etc. with several
+ * CPUs), "level1".."levelN", "blocked", "done" or "not-arrived".
+ */
+function processLocation(snapshot, name) {
+  const core = snapshot.cores.find(c => c.currentProcess && c.currentProcess.name === name);
+  if (core) return snapshot.cores.length > 1 ? `cpu${core.id + 1}` : "running";
+  const lvl = snapshot.readyQueues.findIndex(q => q.some(p => p.name === name));
+  if (lvl !== -1) return `level${lvl + 1}`;
+  if (snapshot.blockedQueue.some(p => p.name === name)) return "blocked";
+  const process = snapshot.processes.find(p => p.name === name);
+  return process && process.remainingTime <= 0 ? "done" : "not-arrived";
+}
+
+function locationLabel(key) {
+  if (key === "running") return "Running";
+  if (key === "blocked") return "Blocked (I/O)";
+  if (key === "done") return "Completed";
+  if (key === "not-arrived") return "Not arrived";
+  const cpu = /^cpu(\d+)$/.exec(key);
+  if (cpu) return `Running on CPU ${cpu[1]}`;
+  return `Level ${key.slice("level".length)} queue`;
+}
+
+// Every location a process can be in after the tick following `snapshot`
+function locationChoices(snapshot) {
+  const choices = snapshot.cores.length > 1 ? snapshot.cores.map(c => `cpu${c.id + 1}`) : ["running"];
+  snapshot.readyQueues.forEach((_, lvl) => choices.push(`level${lvl + 1}`));
+  choices.push("blocked", "done");
+  return choices;
+}
+
+// Processes worth asking about for the next tick: unfinished and arrived by then
+function quizProcesses(snapshot) {
+  return snapshot.processes
+    .filter(p => p.remainingTime > 0 && p.arrivalTime <= snapshot.time + 1)
+    .map(p => p.name);
+}
+
+/**
+ * Check a "next-process" answer: one process name per CPU ("" for idle)
+ * against the snapshot after the tick.
+ * @returns {{correct: boolean, mistakes: Array<{subject: string, answer: string, expected: string}>}}
+ */
+function gradeNextProcess(answer, next) {
+  const mistakes = [];
+  next.cores.forEach((core, i) => {
+    const expected = core.currentProcess ? core.currentProcess.name : "";
+    const given = answer[i] || "";
+    if (given !== expected) {
+      mistakes.push({ subject: next.cores.length > 1 ? `CPU ${i + 1}` : "CPU", answer: given || "Idle", expected: expected || "Idle" });
+    }
+  });
+  return { correct: mistakes.length === 0, mistakes };
+}
+
+/**
+ * Check a "queues" answer, `{ processName: locationKey }`, against the snapshot after the tick.
+ * Mistakes name the process and give location labels.
+ */
+function gradeQueues(answer, next) {
+  const mistakes = [];
+  Object.keys(answer).forEach(name => {
+    const expected = processLocation(next, name);
+    if (answer[name] !== expected) {
+      mistakes.push({ subject: name, answer: answer[name] ? locationLabel(answer[name]) : "(no answer)", expected: locationLabel(expected) });
+    }
+  });
+  return { correct: mistakes.length === 0, mistakes };
+}
+
+// Process stints of a Gantt lane: runs of the same process, ignoring idle and "CS" blocks
+function ganttStints(blocks) {
+  const stints = [];
+  blocks.filter(b => !b.isIdle && !b.isSwitch).forEach(b => {
+    const last = stints[stints.length - 1];
+    if (last && last.name === b.name) {
+      last.end = b.end;
+    } else {
+      stints.push({ name: b.name, start: b.start, end: b.end });
+    }
+  });
+  return stints;
+}
+
+// "P1 P2, P1" -> ["P1", "P2"]: names in order, repeats of the same process collapsed
+function parseStintList(text) {
+  return String(text || "").split(/[\s,]+/).filter(Boolean)
+    .filter((name, i, names) => i === 0 || name !== names[i - 1]);
+}
+
+/**
+ * Check a "gantt" answer, one list of process names per CPU lane (see parseStintList()),
+ * against the finished run. Each mistake carries the first differing stint of its lane.
+ * @returns {{correct: boolean, lanes: Array<Array<{name, start, end}>>, mistakes: Array<{subject, answer, expected, stint}>}}
+ */
+function gradeGantt(answer, final) {
+  const lanes = final.cores.map(core => ganttStints(core.ganttBlocks));
+  const mistakes = [];
+  lanes.forEach((stints, lane) => {
+    const given = answer[lane] || [];
+    const index = stints.findIndex((stint, i) => given[i] !== stint.name);
+    const at = index === -1 && given.length > stints.length ? stints.length : index;
+    if (at === -1) return;
+    const stint = stints[at] || null;
+    const cpu = final.cores.length > 1 ? `CPU ${lane + 1}, ` : "";
+    mistakes.push({
+      subject: `${cpu}stint ${at + 1}`,
+      answer: given[at] || "(nothing)",
+      expected: stint ? `${stint.name} (t=${stint.start}-${stint.end})` : "(the run is over)",
+      stint
+    });
+  });
+  return { correct: mistakes.length === 0, lanes, mistakes };
+}
+
+// Why an event happened, in terms of the settings in force (null when it needs no explanation)
+function explainEvent(event, settings) {
+  const p = event.process;
+  const quantum = lvl => settings.quantum[lvl - 1];
+  switch (event.type) {
+    case "arrival":
+      return `${p} arrived at t=${event.time} and joined the back of level ${event.toLevel}.`;
+    case "starvation-promotion":
+      return `${p} had waited ${settings.starvationInterval} units (the starvation interval) in level ${event.fromLevel}, so it was promoted to level ${event.toLevel}. Promotions are checked at the start of the tick, before new arrivals join, and again after the CPU runs.`;
+    case "quantum-expiry":
+      if (event.toLevel === null) return null; // explained by the expiry demotion that follows
+      return `${p} used up its level ${event.fromLevel} quantum (${quantum(event.fromLevel)}) but had run fewer than ${settings.expiryDemotionInterval} units (the expiry demotion interval), so it went to the back of the same level.`;
+    case "expiry-demotion":
+      return `${p} used up its level ${event.fromLevel} quantum after running at least ${settings.expiryDemotionInterval} units (the expiry demotion interval), so it was demoted to level ${event.toLevel} and its run count reset.`;
+    case "aging-demotion":
+      return `${p} had run ${settings.agingInterval} units (the aging interval) at level ${event.fromLevel}, so aging moved it down to level ${event.toLevel}.`;
+    case "dispatch": {
+      if (event.policy === "selectNext") {
+        return `The custom policy's selectNext() hook chose ${p} from level ${event.toLevel}; the built-in rule (highest level first, then that level's policy) was not used.`;
+      }
+      const policy = settings.policy[event.toLevel - 1];
+      return `Level ${event.toLevel} was the highest level with a waiting process; its ${policy} policy takes the ${POLICY_RULES[policy]}, which was ${p}.`;
+    }
+    case "completion":
+      return `${p} finished its last CPU burst at t=${event.time}.`;
+    case "io-block":
+      return `${p} finished a CPU burst with more to go, so it left the CPU for the blocked (I/O) queue.`;
+    case "io-complete":
+      return `${p} finished its I/O and rejoined level ${event.toLevel}${event.toLevel !== event.fromLevel ? " (I/O priority boost)" : ""}.`;
+    case "idle":
+      return "No process was ready, so the CPU idled.";
+    default:
+      // preemption, context switch and migration messages already give their reason
+      return event.message;
+  }
+}
+
+/**
+ * Explanations for a tick's events (a snapshot's `events`), optionally only those
+ * about the named processes.
+ */
+function explainEvents(events, settings, names = null) {
+  return events
+    .filter(event => names === null || event.process === null || names.includes(event.process))
+    .map(event => explainEvent(event, settings))
+    .filter(Boolean);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    QUIZ_QUESTIONS,
+    processLocation,
+    locationLabel,
+    locationChoices,
+    quizProcesses,
+    gradeNextProcess,
+    gradeQueues,
+    ganttStints,
+    parseStintList,
+    gradeGantt,
+    explainEvent,
+    explainEvents
+  };
+}
@@ -0,0 +1,404 @@
+// ===== Results Export =====
+// Headless builders for the Gantt chart SVG, the schedule CSVs and the queue and
+// priority history charts. Shared by the page (script.js) and Node (require("./report.js")).
+
+const SVG_UNIT_PX = 30; // width of one time unit in exported charts
+const SVG_BAR_HEIGHT = 40;
+const SVG_AXIS_HEIGHT = 20;
+const SVG_IO_ROW_HEIGHT = 18; // one I/O lane row per process that did I/O
+const SVG_LANE_LABEL_PX = 50; // "CPU n" labels left of the lanes when there are several CPUs
+const SVG_MIN_LABEL_GAP_PX = 24; // tick labels closer than this are thinned out
+const SVG_HISTORY_HEIGHT = 160; // plot area of the queue occupancy chart
+const SVG_PRIORITY_ROW_HEIGHT = 18; // one priority lane per process
+const SVG_PROCESS_LABEL_PX = 60; // process names left of the priority lanes
+
+// Same level colors as the queue panels (level 1 = highest); further levels are gray
+const LEVEL_COLORS = ["#dc3545", "#ffc107", "#28a745", "#17a2b8", "#6f42c1"];
+const PRIORITY_CHANGE_COLORS = { promotion: "#28a745", demotion: "#fd7e14" };
+
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function toCSV(rows) {
+  return rows.map(row => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// One Gantt lane per CPU: snapshot.cores -> [[block, ...], ...]
+function coreLanes(snapshot) {
+  return snapshot.cores.map(core => core.ganttBlocks);
+}
+
+// One marker per time with mid-run changes (snapshot.changes): [{ time, label }, ...]
+function changeMarkers(changes) {
+  const markers = [];
+  changes.forEach(change => {
+    const label = change.type === "inject"
+      ? `Injected ${change.process.name}`
+      : `Changed ${Object.keys(change.settings).join(", ")}`;
+    const last = markers[markers.length - 1];
+    if (last && last.time === change.time) {
+      last.label += `; ${label}`;
+    } else {
+      markers.push({ time: change.time, label });
+    }
+  });
+  return markers;
+}
+
+/**
+ * Standalone SVG of the whole timeline (no scrolling/clipping), colored like the page:
+ * idle blocks amber, process blocks light blue, context switches gray,
+ * preempted blocks with a red right edge. `lanes` holds one block list per CPU
+ * (see coreLanes()); `options.ioBlocks` (snapshot.ioBlocks) adds the I/O lane below them
+ * and `options.markers` (see changeMarkers()) dashed lines where mid-run changes took effect.
+ */
+function ganttToSVG(lanes, options = {}) {
+  const unit = options.unitWidth || SVG_UNIT_PX;
+  const title = options.title || "";
+  const ioBlocks = options.ioBlocks || [];
+  const markers = options.markers || [];
+  const ioNames = Array.from(new Set(ioBlocks.map(b => b.name)));
+  const endTime = Math.max(0, ...lanes.map(blocks => (blocks.length > 0 ? blocks[blocks.length - 1].end : 0)));
+  const margin = 10;
+  const left = margin + (lanes.length > 1 ? SVG_LANE_LABEL_PX : 0);
+  const titleHeight = title ? 24 : 0;
+  const lanesHeight = lanes.length * SVG_BAR_HEIGHT;
+  const ioHeight = ioNames.length * SVG_IO_ROW_HEIGHT;
+  const width = Math.max(1, endTime) * unit + left + margin;
+  const height = titleHeight + lanesHeight + ioHeight + SVG_AXIS_HEIGHT + margin * 2;
+  const barsTop = margin + titleHeight;
+  const ioTop = barsTop + lanesHeight;
+  const axisTop = ioTop + ioHeight;
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, sans-serif">`);
+  parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+  if (title) {
+    parts.push(`<text x="${margin}" y="${margin + 16}" font-size="16" font-weight="bold" fill="#333">${escapeXML(title)}</text>`);
+  }
+
+  lanes.forEach((blocks, lane) => {
+    const barTop = barsTop + lane * SVG_BAR_HEIGHT;
+    if (lanes.length > 1) {
+      parts.push(`<text x="${margin}" y="${barTop + SVG_BAR_HEIGHT / 2 + 5}" font-size="12" font-weight="bold" fill="#555">CPU ${lane + 1}</text>`);
+    }
+    blocks.forEach(block => {
+      const x = left + block.start * unit;
+      const w = (block.end - block.start) * unit;
+      const fill = block.isIdle ? "#ffc107" : block.isSwitch ? "#ced4da" : "#add8e6";
+      parts.push(`<rect x="${x}" y="${barTop}" width="${w}" height="${SVG_BAR_HEIGHT}" fill="${fill}" stroke="#000" stroke-width="1"/>`);
+      if (block.preempted) {
+        parts.push(`<line x1="${x + w - 2}" y1="${barTop}" x2="${x + w - 2}" y2="${barTop + SVG_BAR_HEIGHT}" stroke="#dc3545" stroke-width="4"/>`);
+      }
+      parts.push(`<text x="${x + w / 2}" y="${barTop + SVG_BAR_HEIGHT / 2 + 5}" font-size="13" font-weight="bold" text-anchor="middle" fill="#333">${escapeXML(block.name)}</text>`);
+    });
+  });
+
+  ioBlocks.filter(block => block.end > block.start).forEach(block => {
+    const x = left + block.start * unit;
+    const y = ioTop + ioNames.indexOf(block.name) * SVG_IO_ROW_HEIGHT;
+    const w = (block.end - block.start) * unit;
+    parts.push(`<rect x="${x}" y="${y + 2}" width="${w}" height="${SVG_IO_ROW_HEIGHT - 4}" fill="#d4edda" stroke="#28a745" stroke-width="1"/>`);
+    parts.push(`<text x="${x + w / 2}" y="${y + SVG_IO_ROW_HEIGHT / 2 + 4}" font-size="10" text-anchor="middle" fill="#155724">${escapeXML(block.name)} I/O</text>`);
+  });
+
+  markers.forEach(marker => {
+    const x = left + marker.time * unit;
+    parts.push(`<line x1="${x}" y1="${barsTop}" x2="${x}" y2="${axisTop}" stroke="#6f42c1" stroke-width="2" stroke-dasharray="4 3"><title>${escapeXML(`t=${marker.time}: ${marker.label}`)}</title></line>`);
+  });
+
+  // Axis: a tick per unit, labels every `step` units so they never overlap
+  const step = Math.max(1, Math.ceil(SVG_MIN_LABEL_GAP_PX / unit));
+  for (let t = 0; t <= endTime; t++) {
+    const x = left + t * unit;
+    parts.push(`<line x1="${x}" y1="${axisTop}" x2="${x}" y2="${axisTop + 4}" stroke="#666"/>`);
+    if (t % step === 0 || t === endTime) {
+      parts.push(`<text x="${x}" y="${axisTop + 16}" font-size="11" text-anchor="middle" fill="#666">${t}</text>`);
+    }
+  }
+
+  parts.push("</svg>");
+  return parts.join("\n");
+}
+
+// One row per Gantt block: name, start, end (idle blocks are named "Idle", context switches "CS").
+// With several lanes (CPUs) a leading "cpu" column says which one.
+function ganttBlocksToCSV(lanes) {
+  const multi = lanes.length > 1;
+  const rows = [multi ? ["cpu", "name", "start", "end"] : ["name", "start", "end"]];
+  lanes.forEach((blocks, lane) => blocks.forEach(block => {
+    const row = [block.name, block.start, block.end];
+    rows.push(multi ? [lane + 1].concat(row) : row);
+  }));
+  return toCSV(rows);
+}
+
+/**
+ * One row per tick from the engine's `timeline`: the process holding the CPU after that
+ * tick (one "cpuN" column per CPU when there are several), each level's queue and the
+ * blocked (I/O) queue, space-separated in queue order.
+ */
+function queueTraceToCSV(timeline) {
+  const levels = timeline.length > 0 ? timeline[0].queues.length : 0;
+  const cpus = timeline.length > 0 ? timeline[0].running.length : 1;
+  const header = ["time"];
+  if (cpus > 1) {
+    for (let cpu = 1; cpu <= cpus; cpu++) header.push(`cpu${cpu}`);
+  } else {
+    header.push("running");
+  }
+  for (let lvl = 1; lvl <= levels; lvl++) header.push(`level${lvl}`);
+  header.push("blocked");
+
+  const rows = [header];
+  timeline.forEach(entry => {
+    const row = [entry.time];
+    entry.running.forEach(name => row.push(name || ""));
+    entry.queues.forEach(queue => row.push(queue.join(" ")));
+    row.push(entry.blocked.join(" "));
+    rows.push(row);
+  });
+  return toCSV(rows);
+}
+
+// ===== Queue and Priority History =====
+// Built from the engine's `timeline`: one { time, queues, priorities, ... } entry per tick
+
+function levelColor(level) {
+  return LEVEL_COLORS[level - 1] || "#6c757d";
+}
+
+// Axis along the bottom of a history chart: a tick per label, labels every `step` units
+function timeAxisSVG(endTime, unit, left, top) {
+  const parts = [];
+  const step = Math.max(1, Math.ceil(SVG_MIN_LABEL_GAP_PX / unit));
+  for (let t = 0; t <= endTime; t += step) {
+    const x = left + t * unit;
+    parts.push(`<line x1="${x}" y1="${top}" x2="${x}" y2="${top + 4}" stroke="#666"/>`);
+    parts.push(`<text x="${x}" y="${top + 16}" font-size="11" text-anchor="middle" fill="#666">${t}</text>`);
+  }
+  return parts;
+}
+
+/**
+ * The history charts' data, kept up to date as a run grows: queue lengths at the ticks
+ * where one changes, and each process's level over time with its promotions and
+ * demotions. update() reads just the timeline entries and events added since the
+ * previous call, so a chart redrawn every tick does not re-read the whole run. It starts
+ * over when the run no longer extends what it read (a rewind, or another run). The
+ * latest entry is re-read on every update, since a change made between ticks re-records it.
+ */
+class TimelineHistory {
+  /** @param {object} [eventTypes] labels for the events behind level changes, e.g. EVENT_TYPES */
+  constructor(eventTypes = {}) {
+    this.eventTypes = eventTypes;
+    this.reset();
+  }
+
+  reset() {
+    this.timeline = [];
+    this.events = [];
+    this.entryCount = 0; // timeline entries folded in: all but the latest
+    this.eventCount = 0; // events read into `reasons`: those up to the last folded entry
+    this.series = [];
+    this.processes = new Map(); // name -> { name, segments, changes }, in order of first appearance
+    this.reasons = new Map(); // moveKey() -> label of the first event making that move
+  }
+
+  update(timeline, events) {
+    const extendsRead = (list, count, previous) => list.length >= count && (count === 0 || list[count - 1] === previous[count - 1]);
+    if (!extendsRead(timeline, this.entryCount, this.timeline) || !extendsRead(events, this.eventCount, this.events)) {
+      this.reset();
+    }
+    this.timeline = timeline;
+    this.events = events;
+    while (this.entryCount < timeline.length - 1) {
+      const entry = timeline[this.entryCount++];
+      while (this.eventCount < events.length && events[this.eventCount].time <= entry.time) {
+        const event = events[this.eventCount++];
+        const key = moveKey(event.time, event.process, event.fromLevel, event.toLevel);
+        if (!this.reasons.has(key)) this.reasons.set(key, this.eventTypes[event.type] || event.type);
+      }
+      const lengths = entry.queues.map(queue => queue.length);
+      const last = this.series[this.series.length - 1];
+      if (!last || lengths.some((length, lvl) => length !== last.lengths[lvl])) this.series.push({ time: entry.time, lengths });
+      this.addPriorities(entry, entry.time + 1, name => this.processes.get(name), history => this.processes.set(history.name, history));
+    }
+  }
+
+  // Label of the event behind a level change, or null
+  reason(time, name, from, to) {
+    const key = moveKey(time, name, from, to);
+    if (this.reasons.has(key)) return this.reasons.get(key);
+    const event = this.events.slice(this.eventCount).find(e => moveKey(e.time, e.process, e.fromLevel, e.toLevel) === key);
+    return event ? this.eventTypes[event.type] || event.type : null;
+  }
+
+  // Fold an entry's levels (holding until `end`) into the process histories: `find(name)`
+  // gives the history to change (undefined for a new process), `add(history)` takes new ones
+  addPriorities(entry, end, find, add) {
+    Object.keys(entry.priorities).forEach(name => {
+      const level = entry.priorities[name];
+      const history = find(name);
+      const last = history && history.segments[history.segments.length - 1];
+      const continues = last && last.end === entry.time;
+      if (continues && last.level === level) {
+        last.end = end;
+        return;
+      }
+      const changed = history || { name, segments: [], changes: [] };
+      if (continues) {
+        changed.changes.push({ time: entry.time, from: last.level, to: level, reason: this.reason(entry.time, name, last.level, level) });
+      }
+      changed.segments.push({ start: entry.time, end, level });
+      if (!history) add(changed);
+    });
+  }
+
+  /** Queue lengths, [{ time, lengths: [level 1, level 2, ...] }, ...], at the ticks they change and at the latest tick. */
+  queueSeries() {
+    if (this.timeline.length === 0) return [];
+    const entry = this.timeline[this.timeline.length - 1];
+    return this.series.concat({ time: entry.time, lengths: entry.queues.map(queue => queue.length) });
+  }
+
+  /**
+   * Each process's level over time, from the ticks it was in the system:
+   * [{ name, segments: [{ start, end, level }], changes: [{ time, from, to, reason }] }, ...]
+   * in order of first appearance. The level recorded at time t holds from t to t + 1
+   * (the latest tick ends the chart). `reason` is the label of the matching event, or null.
+   * The latest entry changes copies only, so the next update() can still extend the rest.
+   */
+  priorityHistory() {
+    if (this.timeline.length === 0) return [];
+    const entry = this.timeline[this.timeline.length - 1];
+    const copies = new Map();
+    const added = [];
+    this.addPriorities(entry, entry.time, name => {
+      const history = this.processes.get(name);
+      if (!history) return undefined;
+      const last = history.segments[history.segments.length - 1];
+      // Still at the same level: its segment already ends at the latest tick
+      if (last.end === entry.time && last.level === entry.priorities[name]) return history;
+      const copy = { name, segments: history.segments.slice(), changes: history.changes.slice() };
+      copies.set(name, copy);
+      return copy;
+    }, history => added.push(history));
+    return Array.from(this.processes.values()).map(history => copies.get(history.name) || history).concat(added);
+  }
+}
+
+function moveKey(time, name, from, to) {
+  return `${time} ${name} ${from} ${to}`;
+}
+
+/**
+ * Line chart of how many processes wait in each level's queue over time, from
+ * TimelineHistory#queueSeries(). `options.width` is the whole chart's width; time is scaled to fit it.
+ */
+function queueOccupancyToSVG(series, options = {}) {
+  const width = options.width || 800;
+  const margin = 10;
+  const left = margin + 30; // count labels
+  const levels = series.length > 0 ? series[0].lengths.length : 0;
+  const endTime = Math.max(1, series.length > 0 ? series[series.length - 1].time : 0);
+  const unit = (width - left - margin) / endTime;
+  const maxLength = Math.max(1, ...series.map(s => Math.max(0, ...s.lengths)));
+  const legendHeight = 18;
+  const plotTop = margin + legendHeight;
+  const plotBottom = plotTop + SVG_HISTORY_HEIGHT;
+  const height = plotBottom + SVG_AXIS_HEIGHT + margin;
+  const y = length => plotBottom - (length / maxLength) * SVG_HISTORY_HEIGHT;
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, sans-serif">`);
+  parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+  for (let lvl = 1; lvl <= levels; lvl++) {
+    const x = left + (lvl - 1) * 80;
+    parts.push(`<rect x="${x}" y="${margin + 2}" width="12" height="3" fill="${levelColor(lvl)}"/>`);
+    parts.push(`<text x="${x + 16}" y="${margin + 8}" font-size="11" fill="#333">Level ${lvl}</text>`);
+  }
+  // Count grid: a line per whole count, thinned out like the time axis
+  const countStep = Math.max(1, Math.ceil(maxLength / 5));
+  for (let count = 0; count <= maxLength; count += countStep) {
+    parts.push(`<line x1="${left}" y1="${y(count)}" x2="${width - margin}" y2="${y(count)}" stroke="#e9ecef"/>`);
+    parts.push(`<text x="${left - 6}" y="${y(count) + 4}" font-size="11" text-anchor="end" fill="#666">${count}</text>`);
+  }
+  // Step lines: a queue length holds until the next tick
+  for (let lvl = 0; lvl < levels; lvl++) {
+    const points = [];
+    series.forEach((s, i) => {
+      const x = left + s.time * unit;
+      if (i > 0) points.push(`${x},${y(series[i - 1].lengths[lvl])}`);
+      points.push(`${x},${y(s.lengths[lvl])}`);
+    });
+    parts.push(`<polyline points="${points.join(" ")}" fill="none" stroke="${levelColor(lvl + 1)}" stroke-width="2"/>`);
+  }
+  parts.push(`<line x1="${left}" y1="${plotBottom}" x2="${width - margin}" y2="${plotBottom}" stroke="#666"/>`);
+  parts.push(...timeAxisSVG(endTime, unit, left, plotBottom));
+  parts.push("</svg>");
+  return parts.join("\n");
+}
+
+/**
+ * One lane per process colored by its level over time, with a triangle at every
+ * promotion (up, green) and demotion (down, orange); hovering one names the cause.
+ * `history` comes from TimelineHistory#priorityHistory(); time is scaled to fit `options.width`.
+ */
+function priorityLanesToSVG(history, options = {}) {
+  const width = options.width || 800;
+  const endTime = Math.max(1, options.endTime || 0, ...history.map(h => (h.segments.length > 0 ? h.segments[h.segments.length - 1].end : 0)));
+  const margin = 10;
+  const left = margin + SVG_PROCESS_LABEL_PX;
+  const unit = (width - left - margin) / endTime;
+  const row = SVG_PRIORITY_ROW_HEIGHT;
+  const axisTop = margin + history.length * row;
+  const height = axisTop + SVG_AXIS_HEIGHT + margin;
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Arial, sans-serif">`);
+  parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+  history.forEach((process, i) => {
+    const top = margin + i * row;
+    parts.push(`<text x="${margin}" y="${top + row / 2 + 4}" font-size="11" font-weight="bold" fill="#333">${escapeXML(process.name)}</text>`);
+    process.segments.forEach(segment => {
+      const x = left + segment.start * unit;
+      const w = Math.max(1, (segment.end - segment.start) * unit);
+      parts.push(`<rect x="${x}" y="${top + 3}" width="${w}" height="${row - 6}" fill="${levelColor(segment.level)}" opacity="0.75"><title>${escapeXML(`${process.name}: level ${segment.level}, ${segment.start}-${segment.end}`)}</title></rect>`);
+    });
+    process.changes.forEach(change => {
+      const x = left + change.time * unit;
+      const promotion = change.to < change.from;
+      const color = promotion ? PRIORITY_CHANGE_COLORS.promotion : PRIORITY_CHANGE_COLORS.demotion;
+      const tip = promotion ? `${x - 5},${top + row - 2} ${x + 5},${top + row - 2} ${x},${top + 2}` : `${x - 5},${top + 2} ${x + 5},${top + 2} ${x},${top + row - 2}`;
+      const title = `t=${change.time}: ${process.name} level ${change.from} -> ${change.to}${change.reason ? ` (${change.reason})` : ""}`;
+      parts.push(`<polygon points="${tip}" fill="${color}" stroke="#333" stroke-width="0.5"><title>${escapeXML(title)}</title></polygon>`);
+    });
+  });
+  parts.push(...timeAxisSVG(endTime, unit, left, axisTop));
+  parts.push("</svg>");
+  return parts.join("\n");
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    coreLanes,
+    changeMarkers,
+    ganttToSVG,
+    ganttBlocksToCSV,
+    queueTraceToCSV,
+    TimelineHistory,
+    queueOccupancyToSVG,
+    priorityLanesToSVG
+  };
+}
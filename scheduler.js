@@ -0,0 +1,1110 @@
+// ===== MLQ Scheduler Engine =====
+// Headless multi-level queue engine. It never touches the DOM, so the page
+// (script.js) and Node (require("./scheduler.js")) can drive the same rules.
+//
+// The other headless modules (workload, report, comparison, generator, quiz, policy,
+// gantt) follow the same pattern: their top-level names are globals in the page, which
+// loads this file first, and module.exports under Node. A module that uses another's
+// names picks them from require() when `module` exists and from the globals otherwise.
+
+// Per-level scheduling policies. Only RR uses the level's quantum; SRTF is the
+// only one that preempts within its own level.
+const POLICIES = {
+  RR: "Round Robin",
+  FCFS: "First Come First Served",
+  SJF: "Shortest Job First",
+  SRTF: "Shortest Remaining Time First",
+  PRIORITY: "Priority (submitted priority)"
+};
+
+// Structured events emitted by the engine, keyed by `event.type`
+const EVENT_TYPES = {
+  arrival: "Arrival",
+  dispatch: "Dispatch",
+  "quantum-expiry": "Quantum Expiry",
+  completion: "Completion",
+  "aging-demotion": "Aging Demotion",
+  "starvation-promotion": "Starvation Promotion",
+  "expiry-demotion": "Expiry Demotion",
+  preemption: "Preemption",
+  "context-switch": "Context Switch",
+  "io-block": "I/O Start",
+  "io-complete": "I/O Complete",
+  migration: "Migration",
+  injection: "Process Injected",
+  "settings-change": "Settings Change",
+  "policy-move": "Policy Move",
+  idle: "Idle"
+};
+
+// Hooks a custom policy may define (options.policyHooks); each replaces a built-in rule
+const POLICY_HOOKS = {
+  onArrival: "Level an arriving process joins (instead of its priority)",
+  selectNext: "Ready process an idle CPU runs next (instead of the highest level's policy)",
+  onQuantumExpire: "Level a process moves to when its RR quantum runs out (instead of expiry demotion)",
+  onTick: "Level changes after every tick (instead of aging and starvation)"
+};
+
+const DEFAULT_SETTINGS = {
+  levels: 3,
+  cpus: 1,
+  quantum: [3, 3, 3],
+  policy: ["RR", "RR", "RR"],
+  agingInterval: 6,
+  starvationInterval: 5,
+  expiryDemotionInterval: 6,
+  // Preemption between levels: a higher-level arrival/promotion takes the CPU at once
+  preemptive: false,
+  preemptedPlacement: "front", // "front" | "back" of the preempted process's queue
+  preemptedQuantum: "preserve", // "preserve" | "reset" the preempted process's remaining quantum
+  // Time units the CPU spends switching to a different process (drawn as "CS" blocks)
+  contextSwitchCost: 0,
+  ioPriorityBoost: false, // a process finishing I/O returns one level higher
+  cpuQueues: "shared", // "shared" ready queues for all CPUs, or "per-core": each process waits for one CPU
+  migration: true // per-core queues: an idle CPU pulls work from the busiest one
+};
+
+// Ticks between the snapshots kept for rewind(); a rewind replays at most this many ticks
+const CHECKPOINT_INTERVAL = 50;
+
+// Pad (with the last value) or trim a per-level array to exactly `count` entries
+function fillPerLevel(values, count, fallback) {
+  const list = Array.isArray(values) ? values.slice(0, count) : [];
+  const pad = list.length > 0 ? list[list.length - 1] : fallback;
+  while (list.length < count) list.push(pad);
+  return list;
+}
+
+function normalizeSettings(settings, levelCount, cpuCount) {
+  settings.levels = levelCount;
+  settings.cpus = cpuCount;
+  settings.quantum = fillPerLevel(settings.quantum, levelCount, DEFAULT_SETTINGS.quantum[0]);
+  settings.policy = fillPerLevel(settings.policy, levelCount, "RR")
+    .map(policy => (POLICIES[policy] ? policy : "RR"));
+  return settings;
+}
+
+// Length of the CPU burst a process would run next (its remaining time when it has no I/O)
+function nextBurst(p) {
+  return p.burstLeft !== undefined ? p.burstLeft : p.remainingTime;
+}
+
+/**
+ * Order a ready queue the way `policy` picks from it (first entry runs next).
+ * RR and FCFS keep arrival order; the sorts are stable so ties stay FIFO.
+ * SJF/SRTF compare the current CPU burst, not the total remaining work.
+ */
+function orderQueue(queue, policy) {
+  const ordered = queue.slice();
+  if (policy === "SJF" || policy === "SRTF") {
+    ordered.sort((a, b) => nextBurst(a) - nextBurst(b));
+  } else if (policy === "PRIORITY") {
+    ordered.sort((a, b) => a.basePriority - b.basePriority);
+  }
+  return ordered;
+}
+
+/**
+ * Per-process metrics plus averages, CPU utilization and throughput for a snapshot.
+ * Averages only cover processes that have completed; unfinished ones report null.
+ */
+function computeStatistics(snapshot) {
+  const rows = snapshot.processes.map(p => {
+    const done = p.completionTime !== null;
+    return {
+      name: p.name,
+      arrivalTime: p.arrivalTime,
+      burstTime: p.burstTime,
+      startTime: p.startTime,
+      completionTime: p.completionTime,
+      turnaroundTime: done ? p.completionTime - p.arrivalTime : null,
+      responseTime: p.startTime !== null ? p.startTime - p.arrivalTime : null,
+      waitingTime: p.totalWaitingTime,
+      ioTime: p.ioTime,
+      contextSwitches: p.contextSwitches,
+      promotions: p.promotions,
+      demotions: p.demotions
+    };
+  });
+
+  const completed = rows.filter(r => r.completionTime !== null);
+  const average = key => (completed.length > 0
+    ? completed.reduce((sum, r) => sum + r[key], 0) / completed.length
+    : null);
+  const span = b => b.end - b.start;
+  const busy = blocks => blocks.filter(b => !b.isIdle && !b.isSwitch).reduce((sum, b) => sum + span(b), 0);
+  const allBlocks = snapshot.cores.reduce((all, core) => all.concat(core.ganttBlocks), []);
+  const busyTime = busy(allBlocks);
+  const switchBlocks = allBlocks.filter(b => b.isSwitch);
+  const cpuCount = snapshot.cores.length;
+
+  return {
+    processes: rows,
+    completed: completed.length,
+    averageWaitingTime: average("waitingTime"),
+    averageTurnaroundTime: average("turnaroundTime"),
+    averageResponseTime: average("responseTime"),
+    totalContextSwitches: rows.reduce((sum, r) => sum + r.contextSwitches, 0),
+    busyTime, // time spent running processes; context switches are not useful work
+    switchCount: switchBlocks.length,
+    switchTime: switchBlocks.reduce((sum, b) => sum + span(b), 0),
+    cpuUtilization: snapshot.time > 0 ? busyTime / (snapshot.time * cpuCount) : 0, // fraction of elapsed CPU time
+    coreUtilization: snapshot.cores.map(core => (snapshot.time > 0 ? busy(core.ganttBlocks) / snapshot.time : 0)),
+    throughput: snapshot.time > 0 ? completed.length / snapshot.time : 0 // processes per time unit
+  };
+}
+
+function copySettings(settings) {
+  return Object.assign({}, settings, {
+    quantum: settings.quantum.slice(),
+    policy: settings.policy.slice()
+  });
+}
+
+// Copy of a recorded change (see Scheduler#changes), arrays included
+function copyChange(change) {
+  const copy = Object.assign({}, change);
+  if (change.process) {
+    copy.process = Object.assign({}, change.process);
+    if (change.process.bursts) copy.process.bursts = change.process.bursts.slice();
+  }
+  if (change.settings) {
+    copy.settings = Object.assign({}, change.settings);
+    ["quantum", "policy"].forEach(key => {
+      if (Array.isArray(change.settings[key])) copy.settings[key] = change.settings[key].slice();
+    });
+  }
+  return copy;
+}
+
+// "3,3,3" for per-level lists, the value itself otherwise
+function formatSettingValue(value) {
+  return Array.isArray(value) ? value.join(",") : String(value);
+}
+
+// What a policy hook sees of a process: a copy, so hooks change the run only through
+// their return values. `priority` is the current level, `cpu` the 1-based CPU of a
+// per-CPU queue (null when shared)
+function policyProcessView(p) {
+  return {
+    name: p.name,
+    arrivalTime: p.arrivalTime,
+    burstTime: p.burstTime,
+    remainingTime: p.remainingTime,
+    nextBurst: nextBurst(p),
+    priority: p.priority,
+    basePriority: p.basePriority,
+    waitingTime: p.waitingTime,
+    processingTime: p.processingTime,
+    totalWaitingTime: p.totalWaitingTime,
+    promotions: p.promotions,
+    demotions: p.demotions,
+    cpu: p.core === null ? null : p.core + 1
+  };
+}
+
+// A hook's answer as plain data, for options.recordHooks: the engine acts only on levels,
+// process names, null and onTick() moves ({ name, level, reason })
+function plainHookAnswer(answer) {
+  if (answer === undefined) return null;
+  if (!Array.isArray(answer)) return answer;
+  return answer.map(move => (move ? { name: move.name, level: move.level, reason: move.reason ? String(move.reason) : null } : null));
+}
+
+// Engine state for a submitted process
+function initialProcessState(p) {
+  const bursts = Array.isArray(p.bursts) && p.bursts.length > 1 ? p.bursts.slice() : [p.burstTime];
+  const cpuTime = bursts.filter((_, i) => i % 2 === 0).reduce((sum, b) => sum + b, 0);
+  return {
+    name: p.name,
+    arrivalTime: p.arrivalTime,
+    burstTime: cpuTime,
+    remainingTime: cpuTime, // CPU time left over all bursts
+    bursts,
+    burstIndex: 0, // current entry of `bursts`
+    burstLeft: bursts[0], // CPU time left in the current burst
+    ioRemaining: 0, // I/O time left while blocked
+    priority: p.priority,
+    basePriority: p.priority, // submitted priority, used by the PRIORITY policy
+    core: null, // per-core queues: index of the core whose queue holds it
+    processingTime: 0,
+    waitingTime: 0, // ticks waited since last dispatch/promotion; drives starvation
+    // Statistics (see computeStatistics)
+    startTime: null, // first dispatch
+    completionTime: null,
+    totalWaitingTime: 0, // every tick spent in a ready queue; never reset
+    ioTime: 0, // ticks spent in I/O
+    contextSwitches: 0,
+    promotions: 0,
+    demotions: 0
+  };
+}
+
+class Scheduler {
+  /**
+   * @param {Array<{name: string, arrivalTime: number, burstTime: number, priority: number, bursts?: number[]}>} processList
+   *   `bursts` alternates CPU and I/O lengths, starting and ending with CPU; without it the
+   *   process is a single CPU burst of `burstTime`
+   * @param {object} [settings] same shape as DEFAULT_SETTINGS
+   * @param {object} [options]
+   * @param {function(string): void} [options.logger] receives the per-tick trace messages
+   * @param {function(object): void} [options.onEvent] receives every structured event as it is emitted
+   * @param {object} [options.policyHooks] custom policy functions keyed by POLICY_HOOKS names
+   *   (see policy.js); each one given replaces its built-in rule
+   * @param {number} [options.checkpointInterval] ticks between rewind() checkpoints
+   *   (default CHECKPOINT_INTERVAL)
+   * @param {number} [options.maxHookCalls] stop the run with an error after this many hook calls
+   * @param {boolean} [options.recordHooks] keep every hook call's answer, in order, in `hookAnswers`
+   * @param {Array} [options.hookAnswers] answers recorded (recordHooks) in a run of the same
+   *   processes, settings and changes: hook calls return these instead of running the hooks,
+   *   so `policyHooks` only says which hooks exist
+   */
+  constructor(processList, settings = {}, options = {}) {
+    this.levelCount = settings.levels || DEFAULT_SETTINGS.levels; // fixed for the lifetime of the run
+    this.cpuCount = settings.cpus || DEFAULT_SETTINGS.cpus; // fixed for the lifetime of the run
+    this.settings = normalizeSettings(Object.assign({}, DEFAULT_SETTINGS, settings), this.levelCount, this.cpuCount);
+    this.logger = options.logger || null;
+    this.onEvent = options.onEvent || null;
+    this.hooks = options.policyHooks || {};
+    this.checkpointInterval = options.checkpointInterval || CHECKPOINT_INTERVAL;
+    this.maxHookCalls = options.maxHookCalls || Infinity;
+    this.hookCalls = 0; // hook calls so far in this run; restore() winds it back with the run
+    this.replayingHooks = Array.isArray(options.hookAnswers);
+    this.hookAnswers = this.replayingHooks ? options.hookAnswers : (options.recordHooks ? [] : null);
+
+    processList.forEach(p => {
+      if (!(p.priority >= 1 && p.priority <= this.levelCount)) {
+        throw new RangeError(`Invalid priority for ${p.name}. Priority must be between 1 and ${this.levelCount}.`);
+      }
+    });
+
+    this.processes = processList.map(initialProcessState);
+    this.readyQueues = Array.from({ length: this.levelCount }, () => []); // level 1 (highest) .. levelCount (lowest)
+    this.currentTime = 0;
+    this.arrivedProcesses = new Set(); // Track which processes have already arrived
+    this.blockedQueue = []; // processes doing I/O, in the order they blocked
+
+    // One entry per CPU; each runs at most one process and draws its own Gantt lane
+    this.cores = Array.from({ length: this.cpuCount }, (_, id) => ({
+      id,
+      currentProcess: null,
+      quantum: 0, // quantum left for the running process
+      switchRemaining: 0, // ticks left before the dispatched process starts running
+      lastDispatched: null, // re-dispatching the same process is not a context switch
+      ganttBlocks: [], // For merged display
+      lastProcessTime: 0 // Track when last process ended
+    }));
+    this.ioBlocks = []; // one { name, start, end } per I/O burst, for the I/O lane
+    this.events = []; // every event so far, in order; see emit()
+    this.tickEventStart = 0; // index of the first event of the current tick
+    // Changes made between ticks, in order: { time, type: "inject", process } or
+    // { time, type: "settings", settings } (only the keys that changed); see replayRun()
+    this.changes = [];
+    // One entry per tick, as of the end of that tick: { time, queues, priorities, running, blocked }
+    // (see recordTimeline()); like `events`, kept here rather than in every snapshot
+    this.timeline = [];
+    // Snapshots every checkpointInterval ticks (see saveCheckpoint()), rewind()'s starting points
+    this.checkpoints = [];
+
+    // Processes arriving at time 0 are queued (and dispatched) before the first tick
+    this.handleProcessArrivals();
+    this.dispatchIdleCores();
+    this.recordTimeline();
+  }
+
+  log(message) {
+    if (this.logger) this.logger(message);
+  }
+
+  /**
+   * Record a scheduling decision: `{ time, type, process, fromLevel, toLevel, core, message }`.
+   * `process` is null for idle events; levels and cores are 1-based and only set when relevant.
+   */
+  emit(type, process, message, details = {}) {
+    const event = {
+      time: this.currentTime,
+      type,
+      process: process ? process.name : null,
+      fromLevel: details.from === undefined ? null : details.from,
+      toLevel: details.to === undefined ? null : details.to,
+      core: details.core === undefined ? null : details.core.id + 1,
+      message
+    };
+    // Dispatches name what chose the process: the level's policy, or "selectNext"
+    if (details.policy !== undefined) event.policy = details.policy;
+    this.events.push(event);
+    this.log(message);
+    if (this.onEvent) this.onEvent(event);
+  }
+
+  /**
+   * Replace the settings used from the next tick on (the page re-reads its inputs every step).
+   * The numbers of levels and CPUs cannot change mid-run; `levels` and `cpus` are ignored here.
+   * Values that actually change are recorded in `changes` with a "settings-change" event.
+   */
+  updateSettings(settings) {
+    const previous = this.settings;
+    this.settings = normalizeSettings(Object.assign({}, this.settings, settings), this.levelCount, this.cpuCount);
+    const changed = Object.keys(this.settings)
+      .filter(key => formatSettingValue(this.settings[key]) !== formatSettingValue(previous[key]));
+    if (changed.length === 0) return;
+
+    const values = {};
+    changed.forEach(key => { values[key] = this.settings[key]; });
+    this.changes.push(copyChange({ time: this.currentTime, type: "settings", settings: values }));
+    const summary = changed.map(key => `${key} ${formatSettingValue(previous[key])} -> ${formatSettingValue(this.settings[key])}`).join(", ");
+    this.emit("settings-change", null, `Settings changed at time ${this.currentTime}: ${summary}`);
+  }
+
+  /**
+   * Add a process mid-run. It arrives now: it joins its level's queue at once and
+   * idle CPUs (or preemption) pick it up as at the end of a tick. Recorded in `changes`.
+   * @param {{name: string, burstTime: number, priority: number, bursts?: number[]}} p
+   */
+  injectProcess(p) {
+    if (!(p.priority >= 1 && p.priority <= this.levelCount)) {
+      throw new RangeError(`Invalid priority for ${p.name}. Priority must be between 1 and ${this.levelCount}.`);
+    }
+    if (this.processes.some(q => q.name === p.name)) {
+      throw new RangeError(`A process named ${p.name} already exists.`);
+    }
+    const process = initialProcessState(Object.assign({}, p, { arrivalTime: this.currentTime }));
+    this.processes.push(process);
+    const record = { name: p.name, burstTime: process.burstTime, priority: p.priority };
+    if (process.bursts.length > 1) record.bursts = process.bursts.slice();
+    this.changes.push({ time: this.currentTime, type: "inject", process: record });
+    this.emit("injection", process, `Injected ${p.name} at time ${this.currentTime} (burst ${process.burstTime}, priority ${p.priority})`, { to: p.priority });
+
+    this.handleProcessArrivals();
+    this.rescheduleCores();
+    this.recordTimeline();
+  }
+
+  // Apply one recorded change (an entry of `changes`), e.g. when replaying a run
+  applyChange(change) {
+    if (change.type === "inject") {
+      this.injectProcess(change.process);
+    } else if (change.type === "settings") {
+      this.updateSettings(change.settings);
+    }
+  }
+
+  // "CPU" on a single-CPU machine, "CPU 2" etc. otherwise
+  cpuLabel(core) {
+    return this.cpuCount > 1 ? `CPU ${core.id + 1}` : "CPU";
+  }
+
+  // ===== Cores =====
+
+  perCoreQueues() {
+    return this.settings.cpuQueues === "per-core";
+  }
+
+  // With per-core queues a core only runs processes queued for it (or not yet assigned)
+  canRunOn(p, core) {
+    return !this.perCoreQueues() || p.core === null || p.core === core.id;
+  }
+
+  // Processes queued for a core plus the one it is running
+  coreLoad(core) {
+    const queued = this.readyQueues.reduce((sum, q) => sum + q.filter(p => p.core === core.id).length, 0);
+    return queued + (core.currentProcess ? 1 : 0);
+  }
+
+  leastLoadedCore() {
+    return this.cores.reduce((best, core) => (this.coreLoad(core) < this.coreLoad(best) ? core : best));
+  }
+
+  // Migration: an idle core with nothing queued pulls the next process of the busiest core
+  balanceLoad(core) {
+    if (!this.perCoreQueues() || !this.settings.migration) return;
+    const others = this.cores.filter(c => c !== core);
+    if (others.length === 0) return;
+    const busiest = others.reduce((best, c) => (this.coreLoad(c) > this.coreLoad(best) ? c : best));
+    if (this.coreLoad(busiest) < 2) return; // a lone process stays where it is
+    for (let lvl = 0; lvl < this.readyQueues.length; lvl++) {
+      const queued = this.readyQueues[lvl].filter(p => p.core === busiest.id);
+      if (queued.length > 0) {
+        const p = orderQueue(queued, this.settings.policy[lvl])[0];
+        p.core = core.id;
+        this.emit("migration", p, `Load balancing: ${p.name} migrates from CPU ${busiest.id + 1} to CPU ${core.id + 1}`, { from: lvl + 1, to: lvl + 1, core });
+        return;
+      }
+    }
+  }
+
+  dispatchIdleCores() {
+    this.cores.forEach(core => this.selectNextProcess(core));
+  }
+
+  // End-of-tick scheduling: fill idle cores, preempt for higher levels (if enabled)
+  // or shorter SRTF jobs, then fill the cores that were freed
+  rescheduleCores() {
+    this.dispatchIdleCores();
+    this.handleLevelPreemption();
+    this.handleShortestRemainingPreemption();
+    this.dispatchIdleCores();
+  }
+
+  // ===== MLQ Core Functions =====
+
+  // Dispatch: highest non-empty level first, then that level's policy picks the process
+  // (a custom policy's selectNext() may pick any ready process instead)
+  selectNextProcess(core) {
+    if (core.currentProcess) return;
+    core.switchRemaining = 0; // a switch cut short by preemption is abandoned
+    if (!this.readyQueues.some(q => q.some(p => this.canRunOn(p, core)))) this.balanceLoad(core);
+    const runnable = this.readyQueues.map(queue => queue.filter(p => this.canRunOn(p, core)));
+    if (runnable.every(queue => queue.length === 0)) return;
+
+    const picked = this.hasHook("selectNext") ? this.policySelection(core, runnable) : null;
+    const lvl = picked ? picked.priority - 1 : runnable.findIndex(queue => queue.length > 0);
+    const policy = this.settings.policy[lvl];
+    const next = picked || orderQueue(runnable[lvl], policy)[0];
+    const queue = this.readyQueues[lvl];
+    queue.splice(queue.indexOf(next), 1);
+    core.currentProcess = next;
+    if (this.perCoreQueues()) next.core = core.id;
+    // A process preempted with "preserve" resumes with the quantum it had left
+    core.quantum = next.quantumLeft > 0 ? next.quantumLeft : this.settings.quantum[lvl];
+    delete next.quantumLeft;
+    // Moving the CPU from one process to another is a context switch and costs
+    // contextSwitchCost ticks; the CPU's first dispatch switches from nothing
+    const previous = core.lastDispatched;
+    if (previous && previous !== next) {
+      next.contextSwitches++;
+      core.switchRemaining = this.settings.contextSwitchCost;
+    }
+    if (next.startTime === null && core.switchRemaining === 0) next.startTime = this.currentTime;
+    core.lastDispatched = next;
+    // Reset waiting time when process is selected to run in CPU
+    next.waitingTime = 0;
+    const quantumNote = policy === "RR" ? `quantum: ${core.quantum}` : "no quantum";
+    const where = this.cpuCount > 1 ? ` on ${this.cpuLabel(core)}` : "";
+    this.emit("dispatch", next, `Selected ${next.name}${where} from priority ${lvl + 1} (${picked ? "selectNext" : policy}), ${quantumNote}, waitingTime reset to 0`, { to: lvl + 1, core, policy: picked ? "selectNext" : policy });
+    if (core.switchRemaining > 0) {
+      this.emit("context-switch", next, `Context switch from ${previous.name} to ${next.name}: ${core.switchRemaining} time unit(s) before it runs`, { to: lvl + 1, core });
+    }
+  }
+
+  // Preemptive mode: a process waiting in a higher level than a running one takes its CPU.
+  // With several CPUs the lowest-level running processes give way first, one per waiting process.
+  handleLevelPreemption() {
+    if (!this.settings.preemptive) return;
+    const claimed = new Set();
+    const busy = this.cores.filter(core => core.currentProcess)
+      .sort((a, b) => b.currentProcess.priority - a.currentProcess.priority);
+    busy.forEach(core => {
+      const current = core.currentProcess;
+      const lvl = current.priority - 1;
+      const higher = this.readyQueues.slice(0, lvl)
+        .findIndex(q => q.some(p => this.canRunOn(p, core) && !claimed.has(p)));
+      if (higher === -1) return;
+      claimed.add(this.readyQueues[higher].find(p => this.canRunOn(p, core) && !claimed.has(p)));
+
+      if (this.settings.preemptedQuantum === "preserve") {
+        current.quantumLeft = core.quantum;
+      }
+      if (this.settings.preemptedPlacement === "back") {
+        this.readyQueues[lvl].push(current);
+      } else {
+        this.readyQueues[lvl].unshift(current);
+      }
+      // Mark the block that was cut short so the Gantt chart can show the preemption
+      const lastBlock = core.ganttBlocks[core.ganttBlocks.length - 1];
+      if (lastBlock && !lastBlock.isIdle && !lastBlock.isSwitch && lastBlock.name === current.name) {
+        lastBlock.preempted = true;
+      }
+      this.emit("preemption", current, `Preemption: priority ${higher + 1} is ready, ${current.name} leaves the ${this.cpuLabel(core)} and returns to the ${this.settings.preemptedPlacement} of priority ${current.priority}`, { from: current.priority, to: current.priority, core });
+      core.currentProcess = null;
+    });
+  }
+
+  // SRTF: a strictly shorter job waiting in the running process's own level takes the CPU
+  handleShortestRemainingPreemption() {
+    const claimed = new Set();
+    this.cores.forEach(core => {
+      const current = core.currentProcess;
+      if (!current) return;
+      const lvl = current.priority - 1;
+      if (this.settings.policy[lvl] !== "SRTF") return;
+      const waiting = this.readyQueues[lvl].filter(p => this.canRunOn(p, core) && !claimed.has(p));
+      const shortest = orderQueue(waiting, "SRTF")[0];
+      if (shortest && nextBurst(shortest) < nextBurst(current)) {
+        claimed.add(shortest);
+        this.emit("preemption", current, `SRTF: ${shortest.name} (remaining ${nextBurst(shortest)}) preempts ${current.name} (remaining ${nextBurst(current)})`, { from: lvl + 1, to: lvl + 1, core });
+        this.readyQueues[lvl].push(current);
+        core.currentProcess = null;
+      }
+    });
+  }
+
+  // Priority Management Functions
+  handleProcessArrivals() {
+    this.processes.forEach(p => {
+      if (p.arrivalTime === this.currentTime && !this.arrivedProcesses.has(p.name)) {
+        if (this.hasHook("onArrival")) {
+          const level = this.hookLevel("onArrival", this.callHook("onArrival", policyProcessView(p), this.policyState()));
+          if (level !== null) p.priority = level;
+        }
+        // Per-core queues: new work goes to the least loaded core
+        if (this.perCoreQueues()) p.core = this.leastLoadedCore().id;
+        const where = p.core !== null && this.cpuCount > 1 ? ` of CPU ${p.core + 1}` : "";
+        this.emit("arrival", p, `Process ${p.name} arriving at time ${this.currentTime}, adding to priority ${p.priority} queue${where}`, { to: p.priority });
+        this.readyQueues[p.priority - 1].push(p);
+        this.arrivedProcesses.add(p.name);
+      }
+    });
+  }
+
+  // I/O: a process whose CPU burst ended (with more bursts to go) waits in the blocked queue
+  startIO(p, core) {
+    p.burstIndex++;
+    p.ioRemaining = p.bursts[p.burstIndex];
+    this.blockedQueue.push(p);
+    this.ioBlocks.push({ name: p.name, start: this.currentTime, end: this.currentTime });
+    this.emit("io-block", p, `${p.name} finished a CPU burst and blocks for ${p.ioRemaining} unit(s) of I/O`, { from: p.priority, core });
+  }
+
+  // Every blocked process does one unit of I/O (devices work in parallel); finished ones
+  // rejoin their level's ready queue, one level higher with ioPriorityBoost
+  handleIOCompletions() {
+    this.blockedQueue.slice().forEach(p => {
+      p.ioRemaining--;
+      p.ioTime++;
+      const block = this.ioBlocks.slice().reverse().find(b => b.name === p.name);
+      block.end = this.currentTime;
+      if (p.ioRemaining > 0) return;
+
+      this.blockedQueue.splice(this.blockedQueue.indexOf(p), 1);
+      p.burstIndex++;
+      p.burstLeft = p.bursts[p.burstIndex];
+      const from = p.priority;
+      if (this.settings.ioPriorityBoost && p.priority > 1) {
+        p.priority--;
+        p.promotions++;
+      }
+      const boost = from !== p.priority ? ` (I/O boost from priority ${from})` : "";
+      this.emit("io-complete", p, `I/O finished for ${p.name}, returning to priority ${p.priority}${boost}`, { from, to: p.priority });
+      this.readyQueues[p.priority - 1].push(p);
+    });
+  }
+
+  // Aging and Starvation Management
+  handleAgingAndStarvation() {
+    const settings = this.settings;
+    // Check each process in each ready queue for aging/starvation
+    for (let lvl = 0; lvl < this.readyQueues.length; lvl++) {
+      let queue = this.readyQueues[lvl];
+      for (let i = queue.length - 1; i >= 0; i--) {
+        let p = queue[i];
+
+        // Starvation - waiting time reaches starvationInterval, increase priority (move to higher priority queue)
+        if (p.waitingTime >= settings.starvationInterval && p.priority > 1) {
+          this.emit("starvation-promotion", p, `Starvation: ${p.name} moving from priority ${p.priority} to ${p.priority - 1}`, { from: p.priority, to: p.priority - 1 });
+          queue.splice(i, 1); // Remove from current queue
+          p.priority--;
+          p.promotions++;
+          p.waitingTime = 0;
+          this.readyQueues[p.priority - 1].push(p); // Add to higher priority queue
+        }
+        // Aging - processing time reaches agingInterval, decrease priority (move to lower priority queue)
+        else if (p.processingTime >= settings.agingInterval && p.priority < this.levelCount) {
+          this.emit("aging-demotion", p, `Aging: ${p.name} moving from priority ${p.priority} to ${p.priority + 1}`, { from: p.priority, to: p.priority + 1 });
+          queue.splice(i, 1); // Remove from current queue
+          p.priority++;
+          p.demotions++;
+          p.processingTime = 0;
+          this.readyQueues[p.priority - 1].push(p); // Add to lower priority queue
+        }
+      }
+    }
+
+    // Also check the running processes for aging
+    this.cores.forEach(core => {
+      const current = core.currentProcess;
+      if (current && current.processingTime >= settings.agingInterval && current.priority < this.levelCount) {
+        this.emit("aging-demotion", current, `Aging: Current process ${current.name} moving from priority ${current.priority} to ${current.priority + 1}`, { from: current.priority, to: current.priority + 1, core });
+        // Move current process to lower priority queue
+        current.priority++;
+        current.demotions++;
+        current.processingTime = 0;
+        this.readyQueues[current.priority - 1].push(current);
+        core.currentProcess = null; // Release the CPU so scheduler picks next process
+      }
+    });
+  }
+
+  // Starvation promotions ONLY: run before arrivals as first precedence
+  handleStarvationPromotions() {
+    for (let lvl = 0; lvl < this.readyQueues.length; lvl++) {
+      let queue = this.readyQueues[lvl];
+      for (let i = queue.length - 1; i >= 0; i--) {
+        let p = queue[i];
+        if (p.waitingTime >= this.settings.starvationInterval && p.priority > 1) {
+          this.emit("starvation-promotion", p, `Starvation (pre-arrival): ${p.name} moving from priority ${p.priority} to ${p.priority - 1}`, { from: p.priority, to: p.priority - 1 });
+          queue.splice(i, 1);
+          p.priority--;
+          p.promotions++;
+          p.waitingTime = 0;
+          this.readyQueues[p.priority - 1].push(p);
+        }
+      }
+    }
+  }
+
+  // ===== Custom Policy Hooks =====
+
+  hasHook(name) {
+    return typeof this.hooks[name] === "function";
+  }
+
+  // Plain-data picture of the run passed to every hook
+  policyState() {
+    return {
+      time: this.currentTime,
+      levels: this.levelCount,
+      cpus: this.cpuCount,
+      settings: copySettings(this.settings),
+      queues: this.readyQueues.map(queue => queue.map(policyProcessView)),
+      running: this.cores.map(core => (core.currentProcess ? policyProcessView(core.currentProcess) : null)),
+      blocked: this.blockedQueue.map(policyProcessView)
+    };
+  }
+
+  // Errors thrown by policy code name the hook and the time. Every call counts towards
+  // maxHookCalls; when replaying, the recorded answer stands in for the hook
+  callHook(name, ...args) {
+    if (this.hookCalls >= this.maxHookCalls) {
+      throw new Error(`Policy hooks were called ${this.maxHookCalls} times by time ${this.currentTime}, the limit for one run`);
+    }
+    const call = this.hookCalls++;
+    if (this.replayingHooks) {
+      if (call >= this.hookAnswers.length) throw new Error(`The recorded policy run has no answer for ${name}() at time ${this.currentTime}`);
+      return this.hookAnswers[call];
+    }
+    let answer;
+    try {
+      answer = this.hooks[name](...args);
+    } catch (e) {
+      throw new Error(`Policy hook ${name}() failed at time ${this.currentTime}: ${e.message}`);
+    }
+    if (this.hookAnswers) this.hookAnswers[call] = plainHookAnswer(answer);
+    return answer;
+  }
+
+  // A level returned by a hook: 1..levelCount, or null for "keep the built-in rule"
+  hookLevel(name, value) {
+    if (value === undefined || value === null) return null;
+    if (!Number.isInteger(value) || value < 1 || value > this.levelCount) {
+      throw new RangeError(`Policy hook ${name}() returned ${JSON.stringify(value)} at time ${this.currentTime}; expected a level from 1 to ${this.levelCount}`);
+    }
+    return value;
+  }
+
+  // selectNext(state, cpu): the name of a ready process this core may run, or
+  // null/undefined for the built-in choice
+  policySelection(core, runnable) {
+    const name = this.callHook("selectNext", this.policyState(), core.id + 1);
+    if (name === undefined || name === null) return null;
+    const next = runnable.reduce((all, queue) => all.concat(queue), []).find(p => p.name === name);
+    if (!next) {
+      const where = this.cpuCount > 1 ? ` for ${this.cpuLabel(core)}` : "";
+      throw new RangeError(`Policy hook selectNext() returned ${JSON.stringify(name)} at time ${this.currentTime}; expected the name of a ready process${where}`);
+    }
+    return next;
+  }
+
+  // Record a level change made by a hook. The caller moves the process between queues;
+  // its aging and starvation counters restart at the new level
+  moveByPolicy(p, level, reason, core = null) {
+    const from = p.priority;
+    p.priority = level;
+    if (level < from) {
+      p.promotions++;
+    } else {
+      p.demotions++;
+    }
+    p.processingTime = 0;
+    p.waitingTime = 0;
+    const details = { from, to: level };
+    if (core) details.core = core;
+    this.emit("policy-move", p, `Policy: ${p.name} moving from priority ${from} to ${level} (${reason})`, details);
+  }
+
+  // onTick(state): the tick's level changes, [{ name, level, reason? }], in place of aging
+  // and starvation. Queued processes go to the back of their new level, a running one gives
+  // up its CPU (as with aging) and a blocked one rejoins the new level after its I/O
+  handlePolicyTick() {
+    const moves = this.callHook("onTick", this.policyState());
+    if (moves === undefined || moves === null) return;
+    if (!Array.isArray(moves)) {
+      throw new RangeError(`Policy hook onTick() returned ${JSON.stringify(moves)} at time ${this.currentTime}; expected a list of { name, level } moves`);
+    }
+    moves.forEach(move => {
+      const name = move ? move.name : undefined;
+      const p = this.processes.find(q => q.name === name && this.arrivedProcesses.has(q.name) && q.remainingTime > 0);
+      if (!p) {
+        throw new RangeError(`Policy hook onTick() moved ${JSON.stringify(name)} at time ${this.currentTime}; expected the name of an arrived, unfinished process`);
+      }
+      const level = this.hookLevel("onTick", move.level);
+      if (level === null) {
+        throw new RangeError(`Policy hook onTick() gave no level for ${p.name} at time ${this.currentTime}`);
+      }
+      if (level === p.priority) return;
+
+      const core = this.cores.find(c => c.currentProcess === p) || null;
+      const queue = this.readyQueues[p.priority - 1];
+      const queued = queue.includes(p);
+      if (queued) queue.splice(queue.indexOf(p), 1);
+      this.moveByPolicy(p, level, move.reason ? String(move.reason) : "onTick", core);
+      if (core) core.currentProcess = null; // Release the CPU so scheduler picks next process
+      if (queued || core) this.readyQueues[level - 1].push(p);
+    });
+  }
+
+  // Gantt Chart Management
+  // `switching`: the slot was spent on a context switch to the core's process ("CS" block)
+  updateGanttChart(core, switching = false) {
+    // Use the *elapsed time slot* [currentTime - 1, currentTime]
+    const slotStart = Math.max(0, this.currentTime - 1);
+    const slotEnd = this.currentTime;
+    const blocks = core.ganttBlocks;
+    const current = core.currentProcess;
+
+    if (current && switching) {
+      const lastBlock = blocks[blocks.length - 1];
+      if (lastBlock && lastBlock.isSwitch && lastBlock.to === current.name) {
+        lastBlock.end = slotEnd;
+      } else {
+        if (core.lastProcessTime < slotStart) {
+          blocks.push({ name: "Idle", start: core.lastProcessTime, end: slotStart, isIdle: true });
+        }
+        blocks.push({ name: "CS", start: slotStart, end: slotEnd, isIdle: false, isSwitch: true, to: current.name });
+      }
+      core.lastProcessTime = slotEnd;
+    } else if (current) {
+      let lastBlock = blocks[blocks.length - 1];
+      if (lastBlock && !lastBlock.isIdle && !lastBlock.isSwitch && lastBlock.name === current.name) {
+        // extend current block by this one time unit
+        lastBlock.end = slotEnd;
+      } else {
+        // If there was a gap before this slot, close it with Idle
+        if (core.lastProcessTime < slotStart) {
+          blocks.push({ name: "Idle", start: core.lastProcessTime, end: slotStart, isIdle: true });
+        }
+        // Add a new block for the running process covering this single time unit
+        blocks.push({ name: current.name, start: slotStart, end: slotEnd, isIdle: false });
+      }
+      core.lastProcessTime = slotEnd;
+    } else {
+      // Explicitly record idle for this slot so the early 0..1 idle shows up correctly
+      if (core.lastProcessTime < slotEnd) {
+        const last = blocks[blocks.length - 1];
+        if (last && last.isIdle) {
+          last.end = slotEnd; // extend previous idle
+        } else {
+          blocks.push({ name: "Idle", start: slotStart, end: slotEnd, isIdle: true });
+          this.emit("idle", null, `${this.cpuLabel(core)} idle from time ${slotStart}`, { core });
+        }
+        core.lastProcessTime = slotEnd;
+      }
+    }
+  }
+
+  // ===== Simulation completion guard =====
+  /**
+   * Record the current tick in `timeline`: each level's queue (process names, in
+   * queue order), the level of every process in the system (arrived, not finished),
+   * the process on each CPU (null when idle) and the blocked queue.
+   * A change made between ticks re-records the tick it was made in.
+   */
+  recordTimeline() {
+    const priorities = {};
+    this.processes
+      .filter(p => this.arrivedProcesses.has(p.name) && p.remainingTime > 0)
+      .forEach(p => { priorities[p.name] = p.priority; });
+    const entry = {
+      time: this.currentTime,
+      queues: this.readyQueues.map(queue => queue.map(p => p.name)),
+      priorities,
+      running: this.cores.map(core => (core.currentProcess ? core.currentProcess.name : null)),
+      blocked: this.blockedQueue.map(p => p.name)
+    };
+    const last = this.timeline[this.timeline.length - 1];
+    if (last && last.time === this.currentTime) {
+      this.timeline[this.timeline.length - 1] = entry;
+    } else {
+      this.timeline.push(entry);
+    }
+  }
+
+  isComplete() {
+    const queuesEmpty = this.readyQueues.every(q => q.length === 0) && this.blockedQueue.length === 0;
+    const noCurrent = this.cores.every(core => core.currentProcess === null);
+    const allDone = this.processes.length > 0 && this.processes.every(p => p.remainingTime <= 0);
+    return queuesEmpty && noCurrent && allDone;
+  }
+
+  // Steps 4-7 of a tick for one core: run (or switch to) its process, then handle
+  // completion, the end of a CPU burst and quantum expiry
+  runCore(core) {
+    const settings = this.settings;
+
+    // 4. If the core has a process, execute it for this time unit, unless the CPU
+    //    is still switching to it (it does no work and keeps accruing waiting time)
+    const switching = core.currentProcess !== null && core.switchRemaining > 0;
+    if (switching) {
+      core.switchRemaining--;
+      core.currentProcess.totalWaitingTime++;
+      this.log(`Time ${this.currentTime}: Context switch to ${core.currentProcess.name}, ${core.switchRemaining} unit(s) left`);
+    } else if (core.currentProcess) {
+      if (core.currentProcess.startTime === null) core.currentProcess.startTime = this.currentTime - 1;
+      core.currentProcess.processingTime++;
+      core.currentProcess.remainingTime--;
+      core.currentProcess.burstLeft--;
+      core.quantum--;
+
+      this.log(`Time ${this.currentTime}: Executing ${core.currentProcess.name}, remaining: ${core.currentProcess.remainingTime}, quantum left: ${core.quantum}`);
+    }
+
+    // 5. Update Gantt chart (records the elapsed slot [t-1, t])
+    this.updateGanttChart(core, switching);
+
+    // 6. Check if current process completed
+    if (core.currentProcess && core.currentProcess.remainingTime <= 0) {
+      core.currentProcess.completionTime = this.currentTime;
+      this.emit("completion", core.currentProcess, `Process ${core.currentProcess.name} completed at time ${this.currentTime}`, { from: core.currentProcess.priority, core });
+      core.currentProcess = null;
+    }
+    // 6b. The CPU burst ended but more bursts remain: block for I/O
+    else if (core.currentProcess && core.currentProcess.burstLeft <= 0) {
+      this.startIO(core.currentProcess, core);
+      core.currentProcess = null;
+    }
+    // 7. Check if quantum expired (and process not completed); only RR levels have a quantum
+    else if (core.currentProcess) {
+      const current = core.currentProcess;
+      let lvl = current.priority - 1;
+      if (settings.policy[lvl] === "RR" && core.quantum <= 0) {
+        // Third precedence: re-enqueue the running process with optional demotion based on processing units
+        // (or at the level a custom policy's onQuantumExpire() returns)
+        const level = this.hasHook("onQuantumExpire")
+          ? this.hookLevel("onQuantumExpire", this.callHook("onQuantumExpire", policyProcessView(current), this.policyState()))
+          : null;
+        const demoteThreshold = settings.expiryDemotionInterval;
+        if (level !== null) {
+          if (level === current.priority) {
+            this.emit("quantum-expiry", current, `Quantum expired for ${current.name}, onQuantumExpire keeps it at priority ${level}`, { from: level, to: level, core });
+          } else {
+            this.emit("quantum-expiry", current, `Quantum expired for ${current.name} at priority ${current.priority}`, { from: current.priority, core });
+            this.moveByPolicy(current, level, "onQuantumExpire", core);
+          }
+        } else if (current.processingTime >= demoteThreshold && current.priority < this.levelCount) {
+          this.emit("quantum-expiry", current, `Quantum expired for ${current.name} at priority ${current.priority}`, { from: current.priority, core });
+          // larger number is lower priority, so demotion is +1
+          current.priority++;
+          current.demotions++;
+          current.processingTime = 0;
+          this.emit("expiry-demotion", current, `Quantum expired for ${current.name}; processingTime >= ${demoteThreshold}. Demoting to priority ${current.priority} and resetting processingTime.`, { from: current.priority - 1, to: current.priority, core });
+        } else {
+          this.emit("quantum-expiry", current, `Quantum expired for ${current.name}, re-enqueue at same priority ${current.priority}`, { from: current.priority, to: current.priority, core });
+        }
+        this.readyQueues[current.priority - 1].push(current);
+        core.currentProcess = null;
+      }
+    }
+  }
+
+  // ===== Main Simulation Step =====
+  /** Advance one time unit. Long runs use this; step() also returns the resulting snapshot. */
+  tick() {
+    if (this.isComplete()) return;
+    this.saveCheckpoint();
+
+    // 1. Increment time first
+    this.currentTime++;
+    this.tickEventStart = this.events.length;
+
+    // 2. First precedence: increment waiting time for all queued processes, then promote due to starvation
+    //    (a custom policy's onTick() takes over starvation and aging at step 8)
+    this.readyQueues.forEach(queue => queue.forEach(p => {
+      p.waitingTime++;
+      p.totalWaitingTime++;
+    }));
+    if (!this.hasHook("onTick")) this.handleStarvationPromotions();
+
+    // 3. Second precedence: processes finishing I/O rejoin their queues, then new arrivals
+    this.handleIOCompletions();
+    this.handleProcessArrivals();
+
+    // 4-7. Every core runs its process for this time unit (see runCore), in core order
+    this.cores.forEach(core => this.runCore(core));
+
+    // 8. Handle aging and starvation (check both running processes and waiting processes)
+    if (this.hasHook("onTick")) {
+      this.handlePolicyTick();
+    } else {
+      this.handleAgingAndStarvation();
+    }
+
+    // 9. Fill idle cores, preempt for higher levels (if enabled) or shorter SRTF jobs,
+    //    then fill the cores that were freed
+    this.rescheduleCores();
+    this.recordTimeline();
+
+    if (this.isComplete()) {
+      this.log(`Simulation complete at time ${this.currentTime}`);
+    }
+  }
+
+  /** Advance one time unit and return the resulting snapshot. */
+  step() {
+    this.tick();
+    return this.getSnapshot();
+  }
+
+  /**
+   * Step until every process has finished. `maxTime` guards against workloads
+   * that can never complete (e.g. a process whose arrival time was skipped).
+   */
+  runToCompletion(maxTime = 10000) {
+    while (!this.isComplete() && this.currentTime < maxTime) {
+      this.tick();
+    }
+    return this.getSnapshot();
+  }
+
+  getStatistics() {
+    return computeStatistics(this.getSnapshot());
+  }
+
+  /** Plain-data copy of the current state; safe to keep after further steps. */
+  getSnapshot() {
+    const copy = p => Object.assign({}, p);
+    return {
+      time: this.currentTime,
+      levels: this.levelCount,
+      policies: this.settings.policy.slice(),
+      cores: this.cores.map(core => ({
+        id: core.id,
+        currentProcess: core.currentProcess ? copy(core.currentProcess) : null,
+        quantum: core.quantum,
+        switchRemaining: core.switchRemaining,
+        ganttBlocks: core.ganttBlocks.map(copy),
+        // Bookkeeping needed by restore()
+        lastDispatched: core.lastDispatched ? core.lastDispatched.name : null,
+        lastProcessTime: core.lastProcessTime
+      })),
+      readyQueues: this.readyQueues.map(q => q.map(copy)),
+      blockedQueue: this.blockedQueue.map(copy),
+      processes: this.processes.map(copy),
+      ioBlocks: this.ioBlocks.map(copy),
+      complete: this.isComplete(),
+      events: this.events.slice(this.tickEventStart), // emitted during this tick only
+      // Bookkeeping needed by restore()
+      settings: copySettings(this.settings),
+      arrived: Array.from(this.arrivedProcesses),
+      changes: this.changes.map(copyChange),
+      hookCalls: this.hookCalls
+    };
+  }
+
+  /**
+   * Rewind to a snapshot taken earlier in this run, e.g. for "Previous Step".
+   * Queues and the running processes are re-linked to fresh process copies by name;
+   * events after the snapshot's tick are dropped.
+   */
+  restore(snapshot) {
+    const copy = p => Object.assign({}, p);
+    this.processes = snapshot.processes.map(copy);
+    const byName = new Map(this.processes.map(p => [p.name, p]));
+
+    this.settings = copySettings(snapshot.settings);
+    this.currentTime = snapshot.time;
+    this.readyQueues = snapshot.readyQueues.map(q => q.map(p => byName.get(p.name)));
+    this.blockedQueue = snapshot.blockedQueue.map(p => byName.get(p.name));
+    this.cores = snapshot.cores.map(core => ({
+      id: core.id,
+      currentProcess: core.currentProcess ? byName.get(core.currentProcess.name) : null,
+      quantum: core.quantum,
+      switchRemaining: core.switchRemaining,
+      lastDispatched: core.lastDispatched ? byName.get(core.lastDispatched) : null,
+      ganttBlocks: core.ganttBlocks.map(copy),
+      lastProcessTime: core.lastProcessTime
+    }));
+    this.arrivedProcesses = new Set(snapshot.arrived);
+    this.ioBlocks = snapshot.ioBlocks.map(copy);
+    this.changes = snapshot.changes.map(copyChange);
+    this.hookCalls = snapshot.hookCalls;
+    if (this.hookAnswers && !this.replayingHooks) this.hookAnswers.length = this.hookCalls;
+    this.events = this.events.filter(e => e.time <= snapshot.time);
+    this.timeline = this.timeline.filter(entry => entry.time <= snapshot.time);
+    this.tickEventStart = this.events.length - snapshot.events.length;
+  }
+
+  // Keep a snapshot every checkpointInterval ticks. It is taken as the next tick starts,
+  // so it includes the changes made between the ticks
+  saveCheckpoint() {
+    if (this.currentTime % this.checkpointInterval !== 0) return;
+    const last = this.checkpoints[this.checkpoints.length - 1];
+    if (!last || last.time < this.currentTime) this.checkpoints.push(this.getSnapshot());
+  }
+
+  /**
+   * Go back to tick `time` of this run (with the changes made then), e.g. for "Previous Step":
+   * restore the latest checkpoint before it and replay the recorded ticks and changes from
+   * there, with the logger and onEvent muted. Later changes are dropped. Only moves backwards.
+   */
+  rewind(time) {
+    if (!(time >= 0 && time < this.currentTime)) return;
+    const checkpoint = this.checkpoints.filter(c => c.time <= time).pop();
+    const changes = this.changes;
+    let next = checkpoint.changes.length; // changes[next] is the first one to replay
+    const { logger, onEvent } = this;
+    this.logger = null;
+    this.onEvent = null;
+    try {
+      this.restore(checkpoint);
+      this.checkpoints = this.checkpoints.filter(c => c.time < time);
+      const applyDue = () => {
+        while (next < changes.length && changes[next].time <= this.currentTime) this.applyChange(changes[next++]);
+      };
+      applyDue();
+      while (this.currentTime < time && !this.isComplete()) {
+        this.tick();
+        applyDue();
+      }
+    } finally {
+      this.logger = logger;
+      this.onEvent = onEvent;
+    }
+  }
+}
+
+/**
+ * Re-run a recorded run: `changes` (a snapshot's `changes`) are applied between ticks
+ * at the times they were made, so the result matches the original run. The final
+ * snapshot's `allEvents` lists every event of the run (its `events` only the last tick's).
+ * `onStep`, when given, gets the starting snapshot and the one after each tick
+ * (with that tick's changes applied).
+ */
+function replayRun(processes, settings, changes, maxTime = 10000, onStep = null) {
+  const scheduler = new Scheduler(processes, settings);
+  const pending = changes.slice(); // recorded in time order
+  const applyDue = () => {
+    while (pending.length > 0 && pending[0].time <= scheduler.currentTime) scheduler.applyChange(pending.shift());
+  };
+  applyDue();
+  if (onStep) onStep(scheduler.getSnapshot());
+  while (!scheduler.isComplete() && scheduler.currentTime < maxTime) {
+    scheduler.tick();
+    applyDue();
+    if (onStep) onStep(scheduler.getSnapshot());
+  }
+  return Object.assign(scheduler.getSnapshot(), { allEvents: scheduler.events.slice() });
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { Scheduler, DEFAULT_SETTINGS, CHECKPOINT_INTERVAL, POLICIES, EVENT_TYPES, POLICY_HOOKS, orderQueue, computeStatistics, replayRun };
+}
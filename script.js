@@ -1,35 +1,46 @@
 // ===== Global Variables =====
 let processTable = document.getElementById("processTable").querySelector("tbody");
-let ganttChart = document.getElementById("ganttChart");
-let timeIndicators = document.getElementById("timeIndicators");
 let currentTimeDisplay = document.getElementById("currentTimeDisplay");
-let priorityBars = [
-  document.getElementById("priority1-bar"),
-  document.getElementById("priority2-bar"),
-  document.getElementById("priority3-bar")
-];
-
-// Debug: Check if priority bar elements are found
-console.log("Priority bars found:", priorityBars.map((bar, i) => `Level ${i+1}: ${bar ? 'Found' : 'NOT FOUND'}`));
+let statsPanel = document.getElementById("statsPanel");
+let eventLog = document.getElementById("eventLog");
+let levelCountInput = document.getElementById("levelCount");
+let cpuCountInput = document.getElementById("cpuCount");
+// Canvas Gantt chart with the I/O rows and time axis (gantt.js)
+let ganttView = new GanttCanvas(
+  document.getElementById("ganttCanvas"),
+  document.getElementById("ganttScroll"),
+  document.getElementById("ganttTooltip")
+);
+let priorityBars = []; // one bar per level, rebuilt by buildLevelControls()
+let blockedBar = null; // blocked (I/O) queue panel, rebuilt by buildLevelControls()
 
-let processes = [];
-let readyQueues = [[], [], []]; // level 1, 2, 3
+let scheduler = null; // headless engine (scheduler.js), or a PolicyPlayback for custom policy runs; null until the simulation starts
 let simulationStarted = false;
-let currentTime = 0;
-let currentProcess = null;
-let quantumCounters = [0, 0, 0];
-let arrivedProcesses = new Set(); // Track which processes have already arrived
+let latestSnapshot = null; // scheduler.getSnapshot() of the shown tick, taken when first needed (see currentSnapshot())
+let historyCharts = new TimelineHistory(EVENT_TYPES); // chart data read from the run so far (report.js)
+let loggedEvents = 0; // scheduler.events already listed in the event log (see updateEventLog())
+let lastLoggedEvent = null; // scheduler.events[loggedEvents - 1] when it was listed
+let playTimer = null; // auto-advance interval while playing
+let highlightedBlock = null; // { lane, index } of the Gantt block picked from the event log
+let savedComparisonConfigs = []; // settings captured with "Add Current Settings"
+let savedComparisonCount = 0; // numbers saved configs, never reused after a removal
+let quizScore = { correct: 0, total: 0 }; // quiz answers this session (kept across resets)
+let scriptedChanges = []; // mid-run changes loaded with a workload, applied when their time comes
+let runScenario = null; // { processes, settings } the current run started from
+let policySource = POLICY_EXAMPLES.template.source; // custom policy used when "Rules" is "Custom policy"
+let policyJob = null; // worker computing the custom policy run being started (see runPolicyInWorker())
 
-let ganttBlocks = []; // For merged display
-let lastProcessTime = 0; // Track when last process ended
-let nextProcessNumber = 8; // For automatic consecutive naming
+// Width of one time unit in the comparison Gantt lanes
+const COMPARISON_UNIT_PX = 20;
 
-// NEW: one pixel size for one time unit (kept in JS and also pushed to CSS var)
-const TIME_UNIT_PX = 40;
+// Safety cap for "Run to End" / "Run to Time" on workloads that never complete
+const MAX_RUN_STEPS = 10000;
 
-// NEW: append-only time axis state (keeps "0" anchored and prevents shifting)
-let axisZeroPlaced = false;      // we place the "0" tick once per simulation
-let lastTickValue = 0;           // last time value appended to the axis (monotonic)
+// Widest PNG export: canvases wider than this fail in some browsers. The margin leaves
+// room for the SVG's margins and lane labels
+const PNG_MAX_WIDTH = 16384;
+const PNG_MARGIN_PX = 100;
+let nextProcessNumber = 8; // For automatic consecutive naming
 
 // Default processes
 const defaultProcesses = [
@@ -43,24 +54,153 @@ const defaultProcesses = [
 ];
 
 // ===== Settings =====
+function getLevelCount() {
+  const v = parseInt(levelCountInput.value);
+  if (!Number.isFinite(v)) return DEFAULT_SETTINGS.levels;
+  return Math.min(MAX_LEVELS, Math.max(MIN_LEVELS, v));
+}
+
+function getCpuCount() {
+  const v = parseInt(cpuCountInput.value);
+  if (!Number.isFinite(v)) return DEFAULT_SETTINGS.cpus;
+  return Math.min(MAX_CPUS, Math.max(1, v));
+}
+
 function getSettings() {
+  const levels = getLevelCount();
+  const quantum = [];
+  const policy = [];
+  for (let i = 1; i <= levels; i++) {
+    quantum.push(parseInt(document.getElementById(`quantum${i}`).value));
+    policy.push(document.getElementById(`policy${i}`).value);
+  }
   return {
-    quantum: [
-      parseInt(document.getElementById("quantum1").value),
-      parseInt(document.getElementById("quantum2").value),
-      parseInt(document.getElementById("quantum3").value),
-    ],
+    levels,
+    cpus: getCpuCount(),
+    cpuQueues: document.getElementById("cpuQueues").value,
+    migration: document.getElementById("migration").checked,
+    quantum,
+    policy,
     agingInterval: parseInt(document.getElementById("agingInterval").value),
     starvationInterval: parseInt(document.getElementById("starvationInterval").value),
+    preemptive: document.getElementById("preemptive").checked,
+    preemptedPlacement: document.getElementById("preemptedPlacement").value,
+    preemptedQuantum: document.getElementById("preemptedQuantum").value,
+    ioPriorityBoost: document.getElementById("ioPriorityBoost").checked,
+    contextSwitchCost: Math.max(0, parseInt(document.getElementById("contextSwitchCost").value) || 0),
     // Optional UI control; if missing, fallback to 6 (example) to remain configurable
     expiryDemotionInterval: (function() {
       const el = document.getElementById("expiryDemotionInterval");
       const v = el ? parseInt(el.value) : NaN;
-      return Number.isFinite(v) && v > 0 ? v : 6;
+      return Number.isFinite(v) && v > 0 ? v : DEFAULT_SETTINGS.expiryDemotionInterval;
     })()
   };
 }
 
+// Push a settings object (e.g. from an imported workload) into the settings inputs
+function applySettings(settings) {
+  levelCountInput.value = settings.levels;
+  cpuCountInput.value = settings.cpus || 1;
+  document.getElementById("cpuQueues").value = settings.cpuQueues || "shared";
+  document.getElementById("migration").checked = settings.migration !== false;
+  buildLevelControls();
+  for (let lvl = 1; lvl <= getLevelCount(); lvl++) {
+    document.getElementById(`quantum${lvl}`).value = settings.quantum[lvl - 1];
+    const select = document.getElementById(`policy${lvl}`);
+    select.value = (settings.policy && settings.policy[lvl - 1]) || "RR";
+    select.dispatchEvent(new Event("change")); // enable/disable the quantum input
+  }
+  document.getElementById("agingInterval").value = settings.agingInterval;
+  document.getElementById("starvationInterval").value = settings.starvationInterval;
+  document.getElementById("expiryDemotionInterval").value = settings.expiryDemotionInterval;
+  document.getElementById("preemptive").checked = Boolean(settings.preemptive);
+  document.getElementById("preemptedPlacement").value = settings.preemptedPlacement || "front";
+  document.getElementById("preemptedQuantum").value = settings.preemptedQuantum || "preserve";
+  document.getElementById("contextSwitchCost").value = settings.contextSwitchCost || 0;
+  document.getElementById("ioPriorityBoost").checked = Boolean(settings.ioPriorityBoost);
+}
+
+// ===== Level Controls =====
+function levelLabel(lvl, count) {
+  if (lvl === 1) return "Highest";
+  if (lvl === count) return "Lowest";
+  return count === 3 ? "Medium" : "";
+}
+
+// Rebuild the per-level quantum/policy inputs, queue panels and priority header for the configured level count
+function buildLevelControls() {
+  const count = getLevelCount();
+  levelCountInput.value = count;
+
+  // Quantum inputs and policy selectors: keep what the user already chose for levels that still exist
+  const quantumInputs = document.getElementById("quantumInputs");
+  const previous = Array.from(quantumInputs.querySelectorAll("input")).map(input => input.value);
+  const previousPolicies = Array.from(quantumInputs.querySelectorAll("select")).map(select => select.value);
+  quantumInputs.innerHTML = "";
+  for (let lvl = 1; lvl <= count; lvl++) {
+    const label = document.createElement("label");
+    label.textContent = `Quantum Level ${lvl}: `;
+    const input = document.createElement("input");
+    input.type = "number";
+    input.id = `quantum${lvl}`;
+    input.min = "1";
+    input.value = previous[lvl - 1] || previous[previous.length - 1] || DEFAULT_SETTINGS.quantum[0];
+
+    const select = document.createElement("select");
+    select.id = `policy${lvl}`;
+    select.className = "policy-select";
+    Object.keys(POLICIES).forEach(key => {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = key;
+      option.title = POLICIES[key];
+      select.appendChild(option);
+    });
+    select.value = previousPolicies[lvl - 1] || "RR";
+    // Only Round Robin uses the quantum
+    const syncQuantum = () => { input.disabled = select.value !== "RR"; };
+    select.addEventListener("change", syncQuantum);
+    syncQuantum();
+
+    label.appendChild(input);
+    label.appendChild(select);
+    quantumInputs.appendChild(label);
+  }
+
+  // Queue visualization panels (level 1 = highest)
+  const container = document.getElementById("priorityLevels");
+  container.innerHTML = "";
+  priorityBars = [];
+  for (let lvl = 1; lvl <= count; lvl++) {
+    const level = document.createElement("div");
+    level.className = "priority-level";
+    const heading = document.createElement("h4");
+    const suffix = levelLabel(lvl, count);
+    heading.textContent = suffix ? `Priority Level ${lvl} (${suffix})` : `Priority Level ${lvl}`;
+    const bar = document.createElement("div");
+    bar.id = `priority${lvl}-bar`;
+    bar.className = "priority-bar";
+    level.appendChild(heading);
+    level.appendChild(bar);
+    container.appendChild(level);
+    priorityBars.push(bar);
+  }
+
+  // Processes doing I/O sit in the blocked queue until it completes
+  const blocked = document.createElement("div");
+  blocked.className = "priority-level blocked-level";
+  const blockedHeading = document.createElement("h4");
+  blockedHeading.textContent = "Blocked (I/O)";
+  blockedBar = document.createElement("div");
+  blockedBar.id = "blocked-bar";
+  blockedBar.className = "priority-bar";
+  blocked.appendChild(blockedHeading);
+  blocked.appendChild(blockedBar);
+  container.appendChild(blocked);
+
+  document.getElementById("priorityHeader").textContent = `Priority (1-${count})`;
+}
+
 // ===== Process Management =====
 function generateNextProcessName() {
   return `P${nextProcessNumber++}`;
@@ -95,10 +235,11 @@ function addRow(name = "", at = "", bt = "", prio = "") {
   input2.value = at;
   cell2.appendChild(input2);
 
-  // Burst Time
+  // Burst Time: a number, or CPU and I/O bursts such as "5,io3,4"
   let cell3 = row.insertCell();
   let input3 = document.createElement("input");
-  input3.type = "number";
+  input3.type = "text";
+  input3.placeholder = "e.g. 5,io3,4";
   input3.value = bt;
   cell3.appendChild(input3);
 
@@ -108,24 +249,69 @@ function addRow(name = "", at = "", bt = "", prio = "") {
   input4.type = "number";
   input4.value = prio;
   cell4.appendChild(input4);
+
+  // Row actions: reorder and delete
+  let cell5 = row.insertCell();
+  cell5.className = "row-actions";
+  [["\u25B2", "Move up", () => moveRow(row, -1)], ["\u25BC", "Move down", () => moveRow(row, 1)], ["\u2715", "Delete", () => deleteRow(row)]]
+    .forEach(([text, title, action]) => {
+      const button = document.createElement("button");
+      button.textContent = text;
+      button.title = title;
+      button.addEventListener("click", action);
+      cell5.appendChild(button);
+    });
+
+  revalidateInputs();
+}
+
+// Complete rows of the process table (rows with an empty cell are skipped).
+// An unreadable burst cell gives burstTime NaN; see validateInputs().
+function readProcessTable() {
+  const processes = [];
+  for (let row of processTable.rows) {
+    let [name, at, bt, prio] = Array.from(row.cells).map(c => c.firstChild.value);
+    if (!name || at === "" || bt.trim() === "" || prio === "") continue;
+    const burst = parseBurstSequence(bt);
+    const process = { name, arrivalTime: parseInt(at), burstTime: burst.burstTime, priority: parseInt(prio) };
+    if (burst.bursts) process.bursts = burst.bursts;
+    processes.push(process);
+  }
+  return processes;
+}
+
+// Replace the table contents; auto-naming continues after the highest "P<n>"
+function setProcessRows(processes) {
+  processTable.innerHTML = "";
+  processes.forEach(p => addRow(p.name, p.arrivalTime, p.bursts ? formatBurstSequence(p.bursts) : p.burstTime, p.priority));
+  const numbers = processes.map(p => /^P(\d+)$/.exec(p.name)).filter(Boolean).map(m => parseInt(m[1]));
+  nextProcessNumber = numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
 }
 
 function resetSimulation() {
-  processes = [];
-  readyQueues = [[], [], []];
+  stopAutoPlay();
+  cancelPolicyRun();
+  document.getElementById("policyStatus").textContent = "";
+  document.getElementById("exportStatus").textContent = "";
+  scheduler = null;
   simulationStarted = false;
-  currentTime = 0;
-  currentProcess = null;
-  ganttBlocks = [];
-  lastProcessTime = 0;
-  arrivedProcesses = new Set();
-  quantumCounters = [0, 0, 0];
+  latestSnapshot = null;
+  scriptedChanges = [];
+  runScenario = null;
+  clearValidation();
+  showValidationErrors([]);
+  levelCountInput.disabled = false;
+  cpuCountInput.disabled = false;
   processTable.innerHTML = "";
-  ganttChart.innerHTML = "";
-  timeIndicators.innerHTML = "";
+  ganttView.clear();
+  renderHistoryCharts();
+  statsPanel.innerHTML = "";
+  renderEventLog();
+  highlightedBlock = null;
   
   // Clear priority bars
   priorityBars.forEach(bar => bar.innerHTML = "");
+  blockedBar.innerHTML = "";
   
   // Reset time display
   currentTimeDisplay.textContent = "0";
@@ -133,11 +319,12 @@ function resetSimulation() {
   // Reset process numbering
   resetProcessNumbering();
   
-  document.getElementById("nextStepBtn").disabled = true;
+  updateControls(null);
+  document.getElementById("quizFeedback").innerHTML = "";
+  renderQuizQuestion();
 
-  // NEW: reset axis state (so "0" will be placed once on next start)
-  axisZeroPlaced = false;
-  lastTickValue = 0;
+  // Drop a shared scenario from the URL so a reload also starts from the defaults
+  if (location.hash) window.history.replaceState(null, "", location.pathname + location.search);
 
   // Restore default rows after reset
   defaultProcesses.forEach(p => addRow(p.name, p.arrivalTime, p.burstTime, p.priority));
@@ -145,420 +332,1432 @@ function resetSimulation() {
 
 function startSimulation() {
   if (simulationStarted) return;
-  
-  // Reset state
-  processes = [];
-  readyQueues = [[], [], []];
-  arrivedProcesses = new Set();
-  currentProcess = null;
-  currentTime = 0;
-  ganttBlocks = [];
-  lastProcessTime = 0;
-  quantumCounters = [0, 0, 0];
-
-  // NEW: publish unit width to CSS so layout stays consistent
-  document.documentElement.style.setProperty('--unit', `${TIME_UNIT_PX}px`);
-
-  // NEW: lay down the single immutable zero tick before any rendering
-  ensureAxisZero();   // appends "0" once; keeps axis anchored
-  lastTickValue = 0;  // axis currently shows only 0
-
-  // Read processes from table
-  for (let row of processTable.rows) {
-    let [name, at, bt, prio] = Array.from(row.cells).map(c => c.firstChild.value);
-    if (!name || at === "" || bt === "" || prio === "") continue;
-    
-    let arrivalTime = parseInt(at);
-    let burstTime = parseInt(bt);
-    let priority = parseInt(prio);
-    
-    // Validate inputs
-    if (priority < 1 || priority > 3) {
-      alert(`Invalid priority for ${name}. Priority must be between 1 and 3.`);
-      return;
-    }
-    
-    processes.push({
-      name,
-      arrivalTime,
-      burstTime,
-      remainingTime: burstTime,
-      priority,
-      processingTime: 0,
-      waitingTime: 0
-    });
-  }
-  
-  if (processes.length === 0) {
-    alert("Please add at least one process before starting the simulation.");
+
+  // Every row and setting must be valid; problems are marked inline
+  const processes = validateInputs();
+  if (!processes) return;
+
+  runScenario = { processes, settings: getSettings() };
+  if (customPolicyEnabled()) {
+    startPolicyRun();
     return;
   }
-  
-  simulationStarted = true;
-  document.getElementById("nextStepBtn").disabled = false;
+  scheduler = new Scheduler(processes, runScenario.settings, { logger: console.log });
+  refreshSnapshot();
+  applyScriptedChanges();
 
-  // NEW: keep Gantt bars and axis horizontally in sync while scrolling
-  initScrollSync();
-
-  // NEW: re-align axis with chart after a resize (keeps same scrollLeft)
-  window.addEventListener('resize', () => {
-    timeIndicators.scrollLeft = ganttChart.scrollLeft;
-  });
-  
   // Render initial state (time 0)
-  renderUI();
+  showSnapshot(currentSnapshot());
   
   console.log("Simulation started with processes:", processes);
 }
 
-// ===== MLQ Core Functions =====
-
-// Round Robin Scheduling Logic
-function handleRoundRobinScheduling(settings) {
-  if (!currentProcess) {
-    // Select next process from highest priority queue
-    for (let lvl = 0; lvl < 3; lvl++) {
-      if (readyQueues[lvl].length > 0) {
-        currentProcess = readyQueues[lvl].shift();
-        quantumCounters[lvl] = settings.quantum[lvl];
-        // Reset waiting time when process is selected to run in CPU
-        currentProcess.waitingTime = 0;
-        console.log(`Selected ${currentProcess.name} from priority ${lvl + 1}, quantum: ${quantumCounters[lvl]}, waitingTime reset to 0`);
-        break;
-      }
-    }
-  }
+// ===== Validation =====
+const TABLE_FIELDS = ["name", "arrivalTime", "burstTime", "priority"]; // process table columns, in order
+const TABLE_FIELD_LABELS = { name: "name", arrivalTime: "arrival time", burstTime: "burst time", priority: "priority" };
+let validationShown = false; // once problems are listed, edits re-check the inputs as they are made
+
+// A table row's inputs and the process they describe (blank or unreadable cells give NaN)
+function tableRowProcess(row) {
+  const inputs = {};
+  TABLE_FIELDS.forEach((field, i) => { inputs[field] = row.cells[i].firstChild; });
+  const burst = parseBurstSequence(inputs.burstTime.value);
+  const process = {
+    name: inputs.name.value,
+    arrivalTime: toInteger(inputs.arrivalTime.value),
+    burstTime: burst.burstTime,
+    priority: toInteger(inputs.priority.value)
+  };
+  if (burst.bursts) process.bursts = burst.bursts;
+  return { process, inputs, burstError: burst.error };
 }
 
-// Priority Management Functions
-function handleProcessArrivals() {
-  processes.forEach(p => {
-    if (p.arrivalTime === currentTime && !arrivedProcesses.has(p.name)) {
-      console.log(`Process ${p.name} arriving at time ${currentTime}, adding to priority ${p.priority} queue`);
-      readyQueues[p.priority - 1].push(p);
-      arrivedProcesses.add(p.name);
-    }
+// Settings input for a settings error: per-level lists use "<key><level>", the counts their own ids
+function settingInputId(error) {
+  if (error.level !== null) return `${error.field}${error.level}`;
+  return { levels: "levelCount", cpus: "cpuCount" }[error.field] || error.field;
+}
+
+function clearValidation(container = document) {
+  container.querySelectorAll(".invalid").forEach(input => {
+    input.classList.remove("invalid");
+    input.removeAttribute("title");
   });
+  container.querySelectorAll(".field-error").forEach(note => note.remove());
 }
 
-// Aging and Starvation Management
-function handleAgingAndStarvation(settings) {
-  // Check each process in each ready queue for aging/starvation
-  for (let lvl = 0; lvl < 3; lvl++) {
-    let queue = readyQueues[lvl];
-    for (let i = queue.length - 1; i >= 0; i--) {
-      let p = queue[i];
-      
-      // Starvation - waiting time reaches starvationInterval, increase priority (move to higher priority queue)
-      if (p.waitingTime >= settings.starvationInterval && p.priority > 1) {
-        console.log(`Starvation: ${p.name} moving from priority ${p.priority} to ${p.priority - 1}`);
-        queue.splice(i, 1); // Remove from current queue
-        p.priority--;
-        p.waitingTime = 0;
-        readyQueues[p.priority - 1].push(p); // Add to higher priority queue
-      }
-      // Aging - processing time reaches agingInterval, decrease priority (move to lower priority queue)
-      else if (p.processingTime >= settings.agingInterval && p.priority < 3) {
-        console.log(`Aging: ${p.name} moving from priority ${p.priority} to ${p.priority + 1}`);
-        queue.splice(i, 1); // Remove from current queue
-        p.priority++;
-        p.processingTime = 0;
-        readyQueues[p.priority - 1].push(p); // Add to lower priority queue
-      }
-    }
-  }
-  
-  // Also check current process for aging
-  if (currentProcess && currentProcess.processingTime >= settings.agingInterval && currentProcess.priority < 3) {
-    console.log(`Aging: Current process ${currentProcess.name} moving from priority ${currentProcess.priority} to ${currentProcess.priority + 1}`);
-    // Move current process to lower priority queue
-    currentProcess.priority++;
-    currentProcess.processingTime = 0;
-    readyQueues[currentProcess.priority - 1].push(currentProcess);
-    currentProcess = null; // Release the CPU so scheduler picks next process
-    // Don't move it yet, let it finish its quantum
-  }
+// Outline the input and put the message under it (the first problem per input is enough)
+function markInvalid(input, message) {
+  if (input.classList.contains("invalid")) return;
+  input.classList.add("invalid");
+  input.title = message;
+  const note = document.createElement("div");
+  note.className = "field-error";
+  note.textContent = message;
+  input.parentElement.appendChild(note);
 }
 
-// Starvation promotions ONLY: run before arrivals as first precedence
-function handleStarvationPromotions(settings) {
-  for (let lvl = 0; lvl < 3; lvl++) {
-    let queue = readyQueues[lvl];
-    for (let i = queue.length - 1; i >= 0; i--) {
-      let p = queue[i];
-      if (p.waitingTime >= settings.starvationInterval && p.priority > 1) {
-        console.log(`Starvation (pre-arrival): ${p.name} moving from priority ${p.priority} to ${p.priority - 1}`);
-        queue.splice(i, 1);
-        p.priority--;
-        p.waitingTime = 0;
-        readyQueues[p.priority - 1].push(p);
+/**
+ * Check every table row and setting, mark the invalid inputs inline and list the
+ * problems under the table. Returns the processes to run, or null while any remain.
+ */
+function validateInputs() {
+  clearValidation();
+  const levels = getLevelCount();
+  const problems = [];
+  const flag = (input, message, where) => {
+    markInvalid(input, message);
+    problems.push(`${where}: ${message}`);
+  };
+
+  const rows = Array.from(processTable.rows).map(tableRowProcess);
+  rows.forEach(({ process, inputs, burstError }, i) => {
+    processFieldErrors(process, levels).forEach(error => {
+      const input = inputs[error.field];
+      let message = error.message;
+      if (input.value.trim() === "") {
+        message = `${TABLE_FIELD_LABELS[error.field]} is required`;
+      } else if (error.field === "burstTime" && burstError) {
+        message = burstError;
       }
-    }
+      flag(input, message, `Row ${i + 1}`);
+    });
+  });
+  // Names key arrivals and Gantt merging, so a repeated name would corrupt the run
+  duplicateNameErrors(rows.map(r => r.process), i => i + 1).forEach(error => {
+    flag(rows[error.row - 1].inputs.name, error.message, `Row ${error.row}`);
+  });
+  if (rows.length === 0) problems.push("Add at least one process.");
+
+  settingsFieldErrors(getSettings()).forEach(error => {
+    flag(document.getElementById(settingInputId(error)), error.message, "Settings");
+  });
+
+  showValidationErrors(problems);
+  return problems.length === 0 ? rows.map(r => r.process) : null;
+}
+
+function showValidationErrors(problems) {
+  const panel = document.getElementById("validationErrors");
+  validationShown = problems.length > 0;
+  panel.innerHTML = "";
+  panel.hidden = problems.length === 0;
+  if (problems.length === 0) return;
+
+  const title = document.createElement("div");
+  title.className = "import-errors-title";
+  title.textContent = "Fix the highlighted inputs:";
+  const list = document.createElement("ul");
+  problems.forEach(problem => {
+    const item = document.createElement("li");
+    item.textContent = problem;
+    list.appendChild(item);
+  });
+  panel.appendChild(title);
+  panel.appendChild(list);
+}
+
+function revalidateInputs() {
+  if (validationShown) validateInputs();
+}
+
+// Row order is process order: it breaks ties between processes arriving together
+function moveRow(row, offset) {
+  if (simulationStarted) return;
+  if (offset < 0 && row.previousElementSibling) {
+    processTable.insertBefore(row, row.previousElementSibling);
+  } else if (offset > 0 && row.nextElementSibling) {
+    processTable.insertBefore(row.nextElementSibling, row);
   }
+  revalidateInputs();
 }
 
-// Gantt Chart Management
-function updateGanttChart() {
-  // NEW: use the *elapsed time slot* [currentTime - 1, currentTime]
-  const slotStart = Math.max(0, currentTime - 1);
-  const slotEnd = currentTime;
+function deleteRow(row) {
+  if (simulationStarted) return;
+  row.remove();
+  revalidateInputs();
+}
 
-  if (currentProcess) {
-    let lastBlock = ganttBlocks[ganttBlocks.length - 1];
-    if (lastBlock && !lastBlock.isIdle && lastBlock.name === currentProcess.name) {
-      // extend current block by this one time unit
-      lastBlock.end = slotEnd;
-    } else {
-      // If there was a gap before this slot, close it with Idle
-      if (lastProcessTime < slotStart) {
-        ganttBlocks.push({ name: "Idle", start: lastProcessTime, end: slotStart, isIdle: true });
-      }
-      // Add a new block for the running process covering this single time unit
-      ganttBlocks.push({ name: currentProcess.name, start: slotStart, end: slotEnd, isIdle: false });
-    }
-    lastProcessTime = slotEnd;
+// ===== Main Simulation Step =====
+
+// Advance the engine one tick; no rendering (and no snapshot until currentSnapshot() asks)
+function advance() {
+  // Settings stay live: the engine picks up edited inputs on the next tick
+  // (an invalid edit, e.g. a cleared quantum, is marked and ignored until it is fixed)
+  const settings = getSettings();
+  if (validateSettings(settings).length === 0) {
+    const recorded = scheduler.changes.length;
+    scheduler.updateSettings(settings);
+    // An edit is recorded at the current time, so the shown tick carries it
+    if (scheduler.changes.length > recorded) refreshSnapshot();
   } else {
-    // NEW: explicitly record idle for this slot so the early 0..1 idle shows up correctly
-    if (lastProcessTime < slotEnd) {
-      const last = ganttBlocks[ganttBlocks.length - 1];
-      if (last && last.isIdle) {
-        last.end = slotEnd; // extend previous idle
-      } else {
-        ganttBlocks.push({ name: "Idle", start: slotStart, end: slotEnd, isIdle: true });
-      }
-      lastProcessTime = slotEnd;
-    }
+    validateInputs();
   }
+  scheduler.tick();
+  refreshSnapshot();
+  applyScriptedChanges();
 }
 
-// ===== Simulation completion guard =====
-function isSimulationComplete() {
-  const queuesEmpty = readyQueues.every(q => q.length === 0);
-  const noCurrent = currentProcess === null;
-  const allDone = processes.length > 0 && processes.every(p => p.remainingTime <= 0);
-  return queuesEmpty && noCurrent && allDone;
+// The shown snapshot is out of date after a tick, a rewind or a change made between ticks
+function refreshSnapshot() {
+  latestSnapshot = null;
 }
 
-// ===== Main Simulation Step =====
-function nextStep() {
-  if (!simulationStarted) return;
+// Apply the loaded workload's changes that fall due at the current time (as replayRun() does).
+// A change that no longer fits (e.g. an injected name that the table now uses as well) is
+// skipped and reported, since the run then departs from the recording
+function applyScriptedChanges() {
+  const due = scriptedChanges.filter(change => change.time === scheduler.currentTime);
+  if (due.length === 0) return;
+  const skipped = [];
+  due.forEach(change => {
+    try {
+      scheduler.applyChange(change);
+    } catch (e) {
+      skipped.push(e.message);
+    }
+  });
+  if (skipped.length > 0) {
+    document.getElementById("shareStatus").textContent =
+      `Skipped the recorded change${skipped.length === 1 ? "" : "s"} at time ${scheduler.currentTime} (${skipped.join(" ")}); this run no longer follows the recorded one.`;
+  }
+  if (due.some(change => change.type === "settings")) applySettings(scheduler.settings);
+  refreshSnapshot();
+}
 
-  let settings = getSettings();
+// Rewinding undoes changes too: the settings inputs go back to what was in force then
+function rewindTo(time) {
+  scheduler.rewind(time);
+  refreshSnapshot();
+  applySettings(currentSnapshot().settings);
+}
 
-  // 1. Increment time first
-  currentTime++;
-  currentTimeDisplay.textContent = currentTime;
+// Bring the controls and panels in line with a snapshot (forwards or backwards)
+function showSnapshot(snapshot) {
+  updateControls(snapshot);
+  renderUI(snapshot);
+  updateEventLog();
+  renderQuizQuestion();
+}
 
-  // NEW: Append a *single* tick for this new time unit (axis is append-only)
-  appendTickPerUnit(currentTime); // keeps "0..t" laid out without touching earlier ticks
+// Enable/disable the stepping controls for the shown snapshot (null = no simulation)
+function updateControls(snapshot) {
+  const running = snapshot !== null && !snapshot.complete;
+  // Once everything is done the forward controls lock so the axis can't keep growing
+  simulationStarted = running;
+  levelCountInput.disabled = running; // level and CPU counts are fixed for the run
+  cpuCountInput.disabled = running;
+  // A custom policy run is computed in advance: its settings and processes cannot change
+  const fixedRun = running && scheduler instanceof PolicyPlayback;
+  document.getElementById("settingsFields").disabled = fixedRun;
+  if (!running) stopAutoPlay();
 
-  // 2. First precedence: increment waiting time for all queued processes, then promote due to starvation
-  for (let lvl = 0; lvl < 3; lvl++) {
-    readyQueues[lvl].forEach(p => {
-      p.waitingTime++;
-    });
+  // In quiz mode the run only moves forward through "Check Answer"
+  ["nextStepBtn", "playBtn", "runToBtn", "runEndBtn"].forEach(id => {
+    document.getElementById(id).disabled = !running || quizModeEnabled();
+  });
+  document.getElementById("quizCheckBtn").disabled = !running;
+  document.getElementById("injectBtn").disabled = !running || fixedRun;
+  processTable.querySelectorAll(".row-actions button").forEach(button => { button.disabled = running; });
+  // Previous/Run to Time stay usable after completion so earlier ticks can be revisited
+  document.getElementById("prevStepBtn").disabled = snapshot === null || snapshot.time === 0;
+  ["exportSvgBtn", "exportPngBtn", "exportBlocksCsvBtn", "exportTraceCsvBtn"].forEach(id => {
+    document.getElementById(id).disabled = snapshot === null;
+  });
+  if (snapshot !== null && snapshot.complete) {
+    document.getElementById("runToBtn").disabled = false;
   }
-  handleStarvationPromotions(settings);
+}
 
-  // 3. Second precedence: handle new process arrivals
-  handleProcessArrivals();
+function nextStep() {
+  if (!simulationStarted) return;
+  advance();
+  showSnapshot(currentSnapshot());
+}
 
-  // 4. If current process exists, execute it for this time unit
-  if (currentProcess) {
-    currentProcess.processingTime++;
-    currentProcess.remainingTime--;
-    
-    let lvl = currentProcess.priority - 1;
-    quantumCounters[lvl]--;
-    
-    console.log(`Time ${currentTime}: Executing ${currentProcess.name}, remaining: ${currentProcess.remainingTime}, quantum left: ${quantumCounters[lvl]}`);
-  }
+function previousStep() {
+  if (!scheduler || scheduler.currentTime === 0) return;
+  stopAutoPlay();
+  rewindTo(scheduler.currentTime - 1);
+  showSnapshot(currentSnapshot());
+}
 
-  // 5. Update Gantt chart (records the elapsed slot [t-1, t])
-  updateGanttChart();
+// Jump to time T: rewind the engine, or step forward until T (or completion)
+function runToTime(target) {
+  if (!scheduler || !Number.isFinite(target) || target < 0) return;
+  stopAutoPlay();
 
-  // 6. Check if current process completed
-  if (currentProcess && currentProcess.remainingTime <= 0) {
-    console.log(`Process ${currentProcess.name} completed at time ${currentTime}`);
-    currentProcess = null;
-  }
-  // 7. Check if quantum expired (and process not completed)
-  else if (currentProcess) {
-    let lvl = currentProcess.priority - 1;
-    if (quantumCounters[lvl] <= 0) {
-      // Third precedence: re-enqueue the running process with optional demotion based on processing units
-      const demoteThreshold = settings.expiryDemotionInterval;
-      let targetPriority = currentProcess.priority;
-      if (currentProcess.processingTime >= demoteThreshold && currentProcess.priority < 3) {
-        targetPriority = currentProcess.priority + 1; // decrease priority number means higher; here larger number is lower priority, so +1
-        console.log(`Quantum expired for ${currentProcess.name}; processingTime=${currentProcess.processingTime} >= ${demoteThreshold}. Demoting to priority ${targetPriority} and resetting processingTime.`);
-        currentProcess.priority = targetPriority;
-        currentProcess.processingTime = 0;
-      } else {
-        console.log(`Quantum expired for ${currentProcess.name}, re-enqueue at same priority ${currentProcess.priority}`);
-      }
-      readyQueues[currentProcess.priority - 1].push(currentProcess);
-      currentProcess = null;
+  if (target < scheduler.currentTime) {
+    rewindTo(target);
+  } else {
+    let steps = 0;
+    while (!scheduler.isComplete() && scheduler.currentTime < target && steps++ < MAX_RUN_STEPS) {
+      advance();
     }
   }
+  showSnapshot(currentSnapshot());
+}
 
-  // 8. Handle aging and starvation (check both running process and waiting processes)
-  handleAgingAndStarvation(settings);
+function runToEnd() {
+  if (!simulationStarted) return;
+  stopAutoPlay();
+  let steps = 0;
+  while (!scheduler.isComplete() && steps++ < MAX_RUN_STEPS) {
+    advance();
+  }
+  showSnapshot(currentSnapshot());
+}
 
-  // 9. Select next process if none is running
-  handleRoundRobinScheduling(settings);
+// ===== Auto-play =====
+function getPlaySpeed() {
+  return parseInt(document.getElementById("playSpeed").value) || 500;
+}
 
-  // NEW: if everything is done, lock the Next Step button so axis can't keep growing
-  if (isSimulationComplete()) {
-    document.getElementById("nextStepBtn").disabled = true;
-    simulationStarted = false;
-    console.log("Simulation complete at time", currentTime);
-  }
+function startAutoPlay() {
+  if (!simulationStarted || playTimer) return;
+  document.getElementById("playBtn").textContent = "Pause";
+  playTimer = setInterval(nextStep, getPlaySpeed());
+}
 
-  // 10. Render UI
-  renderUI();
+function stopAutoPlay() {
+  if (!playTimer) return;
+  clearInterval(playTimer);
+  playTimer = null;
+  document.getElementById("playBtn").textContent = "Play";
+}
+
+function toggleAutoPlay() {
+  if (playTimer) {
+    stopAutoPlay();
+  } else {
+    startAutoPlay();
+  }
 }
 
 // ===== Render UI =====
-function renderUI() {
+function renderUI(snapshot) {
+  const { readyQueues, cores } = snapshot;
+  const multiCore = cores.length > 1;
+
   // Update current time display
-  currentTimeDisplay.textContent = currentTime;
+  currentTimeDisplay.textContent = snapshot.time;
   
   // Debug: Log queue states
-  console.log(`Time ${currentTime}: Priority queues:`, readyQueues.map((q, i) => `Level ${i+1}: [${q.map(p => p.name).join(', ')}]`));
-  if (currentProcess) {
-    console.log(`Current process: ${currentProcess.name} (Priority ${currentProcess.priority})`);
-  }
+  console.log(`Time ${snapshot.time}: Priority queues:`, readyQueues.map((q, i) => `Level ${i+1}: [${q.map(p => p.name).join(', ')}]`));
+  cores.filter(core => core.currentProcess).forEach(core => {
+    console.log(`Current process on CPU ${core.id + 1}: ${core.currentProcess.name} (Priority ${core.currentProcess.priority})`);
+  });
   
   // Clear all priority bars
   priorityBars.forEach(bar => bar.innerHTML = "");
   
   // Render each priority level
-  for (let lvl = 0; lvl < 3; lvl++) {
+  for (let lvl = 0; lvl < readyQueues.length; lvl++) {
     let bar = priorityBars[lvl];
-    let queue = readyQueues[lvl];
+    // Waiting cards follow the order this level's policy will pick from
+    let queue = orderQueue(readyQueues[lvl], snapshot.policies[lvl]);
     
-    // Check if current process belongs to this priority level
-    let showCurrentProcess = currentProcess && (currentProcess.priority - 1) === lvl;
+    // Cores running a process from this priority level
+    let runningHere = cores.filter(core => core.currentProcess && (core.currentProcess.priority - 1) === lvl);
     
-    console.log(`Rendering Priority Level ${lvl + 1}: ${queue.length} processes${showCurrentProcess ? ' + current process' : ''}`);
+    console.log(`Rendering Priority Level ${lvl + 1}: ${queue.length} processes${runningHere.length > 0 ? ` + ${runningHere.length} running` : ''}`);
     
-    if (queue.length === 0 && !showCurrentProcess) {
+    if (queue.length === 0 && runningHere.length === 0) {
       bar.innerHTML = '<div class="empty">No processes in this priority level</div>';
       bar.classList.add('empty');
     } else {
       bar.classList.remove('empty');
       
-      // Show current process first if it belongs to this level
-      if (showCurrentProcess) {
+      // Show running processes first, with the CPU they are on
+      runningHere.forEach(core => {
+        const currentProcess = core.currentProcess;
         let card = document.createElement('div');
         card.className = 'process-card current';
-        card.innerHTML = `
-          <div class="process-name">${currentProcess.name} [RUNNING]</div>
-          <div class="process-info">
-            <span><span class="label">Remaining BT:</span> ${currentProcess.remainingTime}</span>
-            <span><span class="label">Processing Time:</span> ${currentProcess.processingTime}</span>
-            <span><span class="label">Waiting Time:</span> ${currentProcess.waitingTime}</span>
-            <span><span class="label">Arrival Time:</span> ${currentProcess.arrivalTime}</span>
-          </div>
-        `;
+        const where = multiCore ? ` on CPU ${core.id + 1}` : "";
+        const state = core.switchRemaining > 0 ? `SWITCHING IN${where}, ${core.switchRemaining} left` : `RUNNING${where}`;
+        fillProcessCard(card, `${currentProcess.name} [${state}]`, [], processCardFields(currentProcess));
         bar.appendChild(card);
-      }
+      });
       
       // Show waiting processes
-      queue.forEach(p => {
+      queue.forEach((p, i) => {
         console.log(`Adding process ${p.name} to Priority Level ${lvl + 1} bar`);
         let card = document.createElement('div');
         card.className = 'process-card';
-        
-        card.innerHTML = `
-          <div class="process-name">${p.name}</div>
-          <div class="process-info">
-            <span><span class="label">Remaining BT:</span> ${p.remainingTime}</span>
-            <span><span class="label">Processing Time:</span> ${p.processingTime}</span>
-            <span><span class="label">Waiting Time:</span> ${p.waitingTime}</span>
-            <span><span class="label">Arrival Time:</span> ${p.arrivalTime}</span>
-          </div>
-        `;
-        
+        const tags = [["pick-order", `#${i + 1}`]];
+        if (multiCore && p.core !== null) tags.push(["core-tag", `CPU ${p.core + 1}`]);
+        fillProcessCard(card, p.name, tags, processCardFields(p));
         bar.appendChild(card);
       });
     }
   }
 
-  // Gantt Chart (bars). IMPORTANT: axis is handled incrementally; do not clear it here.
-  ganttChart.innerHTML = "";
-  if (ganttBlocks.length === 0) {
-    // Show initial state (bars only; axis "0" was placed at startSimulation)
-    let div = document.createElement("div");
-    div.className = "gantt-block idle";
-    // exact sizing + no shrink to avoid flex rounding on narrow screens
-    const w = TIME_UNIT_PX;
-    div.style.width = `${w}px`;
-    div.style.flex = `0 0 ${w}px`;
-    div.innerText = "Idle";
-    ganttChart.appendChild(div);
+  renderGantt(snapshot);
+  renderBlockedQueue(snapshot.blockedQueue);
+  renderStatistics(snapshot);
+  renderHistoryCharts();
+}
+
+function processCardFields(p) {
+  return [["Remaining BT", p.remainingTime], ["Processing Time", p.processingTime], ["Waiting Time", p.waitingTime], ["Arrival Time", p.arrivalTime]];
+}
+
+// Fill a queue panel card: the name line with `tags` ([className, text] spans) after it,
+// then `fields` ([label, value] pairs). Process names come from the table, imports and
+// links, so everything is set as text, never as markup
+function fillProcessCard(card, title, tags, fields) {
+  const name = document.createElement("div");
+  name.className = "process-name";
+  name.textContent = title;
+  tags.forEach(([className, text]) => {
+    const tag = document.createElement("span");
+    tag.className = className;
+    tag.textContent = text;
+    name.append(" ", tag);
+  });
+  const info = document.createElement("div");
+  info.className = "process-info";
+  fields.forEach(([label, value]) => {
+    const field = document.createElement("span");
+    const labelSpan = document.createElement("span");
+    labelSpan.className = "label";
+    labelSpan.textContent = `${label}:`;
+    field.append(labelSpan, ` ${value}`);
+    info.appendChild(field);
+  });
+  card.append(name, info);
+}
+
+function renderBlockedQueue(blockedQueue) {
+  blockedBar.innerHTML = "";
+  blockedBar.classList.toggle("empty", blockedQueue.length === 0);
+  if (blockedQueue.length === 0) {
+    blockedBar.innerHTML = '<div class="empty">No processes doing I/O</div>';
+    return;
+  }
+  blockedQueue.forEach(p => {
+    const card = document.createElement("div");
+    card.className = "process-card blocked";
+    fillProcessCard(card, `${p.name} [I/O]`, [], [["I/O Left", p.ioRemaining], ["Remaining BT", p.remainingTime], ["Returns To", `Priority ${p.priority}`]]);
+    blockedBar.appendChild(card);
+  });
+}
+
+// Gantt lanes (an "Idle" unit before the first tick), I/O rows and change markers on the canvas
+function renderGantt(snapshot) {
+  const idle = [{ name: "Idle", start: 0, end: 1, isIdle: true }];
+  ganttView.setData({
+    lanes: snapshot.cores.map(core => (core.ganttBlocks.length > 0 ? core.ganttBlocks : idle)),
+    ioBlocks: snapshot.ioBlocks,
+    markers: changeMarkers(snapshot.changes),
+    highlight: highlightedBlock
+  });
+}
+
+// Zoom readout, e.g. "40 px/unit"
+function renderZoomLevel(unit) {
+  document.getElementById("zoomLevel").textContent = `${Number(unit.toPrecision(2))} px/unit`;
+}
+
+// ===== Workload Import/Export =====
+// `data` is text or a Blob
+function downloadFile(filename, data, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * The workload to save: once a run exists, the table and settings it started from plus
+ * its changes so far and the loaded changes still ahead, so the file replays the run;
+ * before that, the table, the settings and any loaded changes.
+ */
+function workloadToSave() {
+  if (!runScenario) return { processes: readProcessTable(), settings: getSettings(), changes: scriptedChanges };
+  const snapshot = currentSnapshot();
+  const ahead = scriptedChanges.filter(change => change.time > snapshot.time);
+  return { processes: runScenario.processes, settings: runScenario.settings, changes: snapshot.changes.concat(ahead) };
+}
+
+// Loaded changes are applied during the next run; say so, as the table doesn't show them
+function setScriptedChanges(changes) {
+  scriptedChanges = changes;
+  if (changes.length > 0) {
+    document.getElementById("shareStatus").textContent =
+      `This workload includes ${changes.length} recorded mid-run change${changes.length === 1 ? "" : "s"}; they are applied during the run.`;
+  }
+}
+
+function exportWorkloadJSON() {
+  const { processes, settings, changes } = workloadToSave();
+  downloadFile("mlq-workload.json", serializeWorkload(processes, settings, changes), "application/json");
+}
+
+function exportProcessCSV() {
+  downloadFile("mlq-processes.csv", processesToCSV(readProcessTable()), "text/csv");
+}
+
+// List import problems under the table, one line per row; nothing is imported while any remain
+function showImportErrors(filename, errors) {
+  const panel = document.getElementById("importErrors");
+  panel.innerHTML = "";
+  panel.hidden = errors.length === 0;
+  if (errors.length === 0) return;
+
+  const title = document.createElement("div");
+  title.className = "import-errors-title";
+  title.textContent = `${filename} was not imported:`;
+  const list = document.createElement("ul");
+  errors.forEach(error => {
+    const item = document.createElement("li");
+    item.textContent = error.row === null ? error.message : `Row ${error.row}: ${error.message}`;
+    list.appendChild(item);
+  });
+  panel.appendChild(title);
+  panel.appendChild(list);
+}
+
+function importWorkloadFile(file, format) {
+  if (!file || simulationStarted) return;
+  file.text().then(text => {
+    if (format === "json") {
+      const { processes, settings, changes, errors } = parseWorkloadJSON(text);
+      showImportErrors(file.name, errors);
+      if (errors.length > 0) return;
+      applySettings(settings);
+      setProcessRows(processes);
+      setScriptedChanges(changes);
+    } else {
+      const { processes, errors } = parseProcessCSV(text, getLevelCount());
+      showImportErrors(file.name, errors);
+      if (errors.length > 0) return;
+      setProcessRows(processes);
+      setScriptedChanges([]);
+    }
+  });
+}
+
+// ===== Shareable Links =====
+// Put the workload (see workloadToSave()) into the URL hash and copy the full link
+function copyShareLink() {
+  const status = document.getElementById("shareStatus");
+  const { processes, settings, changes } = workloadToSave();
+  encodeWorkloadHash(processes, settings, changes).then(hash => {
+    window.history.replaceState(null, "", hash);
+    const url = location.href;
+    const done = () => { status.textContent = "Link copied to clipboard."; };
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(url).then(done, () => prompt("Copy this link:", url));
+    } else {
+      prompt("Copy this link:", url);
+    }
+  });
+}
+
+// Load a scenario carried in the URL hash (on page load or when a new link is pasted)
+function loadWorkloadFromHash() {
+  if (simulationStarted) return Promise.resolve();
+  return decodeWorkloadHash(location.hash).then(result => {
+    if (!result) return;
+    showImportErrors("The shared link", result.errors);
+    if (result.errors.length > 0) return;
+    applySettings(result.settings);
+    setProcessRows(result.processes);
+    setScriptedChanges(result.changes);
+  });
+}
+
+// ===== Process Injection =====
+// Name for an injected process when none is given: the next free "P<n>"
+function nextInjectedName(snapshot) {
+  let name = generateNextProcessName();
+  while (snapshot.processes.some(p => p.name === name)) name = generateNextProcessName();
+  return name;
+}
+
+// Add a process arriving now to the running simulation; the engine records it in the run's changes
+function injectProcessNow() {
+  if (!simulationStarted) return;
+  const panel = document.getElementById("injectControls");
+  const inputs = {
+    name: document.getElementById("injectName"),
+    burstTime: document.getElementById("injectBurst"),
+    priority: document.getElementById("injectPriority")
+  };
+  clearValidation(panel);
+
+  const snapshot = currentSnapshot();
+  const burst = parseBurstSequence(inputs.burstTime.value);
+  const process = {
+    name: inputs.name.value.trim() || nextInjectedName(snapshot),
+    arrivalTime: snapshot.time,
+    burstTime: burst.burstTime,
+    priority: toInteger(inputs.priority.value)
+  };
+  if (burst.bursts) process.bursts = burst.bursts;
+
+  const errors = processFieldErrors(process, snapshot.readyQueues.length);
+  if (snapshot.processes.some(p => p.name === process.name)) {
+    errors.push({ field: "name", message: `${process.name} already exists` });
+  }
+  errors.forEach(error => {
+    const message = error.field === "burstTime" && burst.error ? burst.error : error.message;
+    markInvalid(inputs[error.field], message);
+  });
+  if (errors.length > 0) return;
+
+  scheduler.injectProcess(process);
+  refreshSnapshot();
+  inputs.name.value = "";
+  showSnapshot(currentSnapshot());
+}
+
+// ===== Custom Policy =====
+function customPolicyEnabled() {
+  return document.getElementById("policyMode").value === "custom";
+}
+
+/**
+ * Run a custom policy over a workload in policy-worker.js, never in the page.
+ * Returns `{ result, cancel }`: `result` resolves with runPolicy()'s run or rejects with
+ * the policy's error (or a timeout after POLICY_TIME_LIMIT_MS); cancel() stops the
+ * worker and leaves `result` unsettled.
+ */
+function runPolicyInWorker(source, processes, settings, changes = []) {
+  let worker = null;
+  let timer = null;
+  const stop = () => {
+    clearTimeout(timer);
+    if (worker) worker.terminate();
+  };
+  const result = new Promise((resolve, reject) => {
+    try {
+      worker = new Worker("policy-worker.js");
+    } catch (e) {
+      // e.g. Chrome refuses workers on pages opened from file://
+      reject(new Error(`The policy worker could not start (${e.message}). Serve the page over http, e.g. with "python3 -m http.server".`));
+      return;
+    }
+    timer = setTimeout(() => {
+      stop();
+      reject(new Error(`Stopped after ${POLICY_TIME_LIMIT_MS / 1000} s; check the hooks for a loop that never ends.`));
+    }, POLICY_TIME_LIMIT_MS);
+    worker.onmessage = event => {
+      stop();
+      if (event.data.error) {
+        reject(new Error(event.data.error));
+      } else {
+        resolve(event.data.run);
+      }
+    };
+    worker.onerror = event => {
+      event.preventDefault();
+      stop();
+      reject(new Error(event.message || "The policy worker failed to load."));
+    };
+    worker.postMessage({ source, processes, settings, changes, maxSteps: MAX_RUN_STEPS });
+  });
+  return { result, cancel: stop };
+}
+
+// The worker computes the whole run first; then it is stepped through like a live run
+function startPolicyRun() {
+  const status = document.getElementById("policyStatus");
+  const startBtn = document.getElementById("startBtn");
+  status.textContent = "Running the custom policy...";
+  startBtn.disabled = true;
+  policyJob = runPolicyInWorker(policySource, runScenario.processes, runScenario.settings, scriptedChanges);
+  policyJob.result.then(run => {
+    policyJob = null;
+    startBtn.disabled = false;
+    scheduler = new PolicyPlayback(runScenario.processes, runScenario.settings, run);
+    refreshSnapshot();
+    applyScriptedChanges();
+    const end = run.final.time;
+    status.textContent = scheduler.truncated
+      ? `The custom policy run stopped at the step limit (t=${end}) before every process finished.`
+      : `Custom policy run ready (finishes at t=${end}).`;
+    showSnapshot(currentSnapshot());
+  }, error => {
+    policyJob = null;
+    startBtn.disabled = false;
+    runScenario = null;
+    status.textContent = `Custom policy failed: ${error.message}`;
+  });
+}
+
+function cancelPolicyRun() {
+  if (!policyJob) return;
+  policyJob.cancel();
+  policyJob = null;
+  document.getElementById("startBtn").disabled = false;
+}
+
+function openPolicyEditor() {
+  document.getElementById("policySource").value = policySource;
+  showPolicyError(null);
+  document.getElementById("policyTestStatus").textContent = "";
+  document.getElementById("policyDialog").showModal();
+}
+
+function showPolicyError(message) {
+  const panel = document.getElementById("policyErrors");
+  panel.hidden = message === null;
+  panel.textContent = message || "";
+}
+
+function loadPolicyExample() {
+  document.getElementById("policySource").value = POLICY_EXAMPLES[document.getElementById("policyExample").value].source;
+  showPolicyError(null);
+}
+
+// Try the edited policy on the process table without starting a run
+function testPolicy() {
+  const status = document.getElementById("policyTestStatus");
+  const processes = validateInputs();
+  showPolicyError(processes ? null : "Fix the highlighted inputs in the process table first.");
+  if (!processes) return;
+  status.textContent = "Running...";
+  runPolicyInWorker(document.getElementById("policySource").value, processes, getSettings()).result.then(run => {
+    const snapshot = run.final;
+    const stats = computeStatistics(snapshot);
+    status.textContent = snapshot.complete
+      ? `Finished at t=${snapshot.time}: average waiting ${formatStat(stats.averageWaitingTime)}, average turnaround ${formatStat(stats.averageTurnaroundTime)}.`
+      : `Stopped at the step limit (t=${snapshot.time}) with ${snapshot.processes.length - stats.completed} processes unfinished.`;
+  }, error => {
+    status.textContent = "";
+    showPolicyError(error.message);
+  });
+}
+
+// Keep the edited source and switch the rules to it; Start Simulation and Compare use it
+function usePolicy() {
+  policySource = document.getElementById("policySource").value;
+  document.getElementById("policyMode").value = "custom";
+  document.getElementById("policyDialog").close();
+  document.getElementById("policyStatus").textContent = "Custom policy selected: Start Simulation runs it.";
+  renderComparisonConfigs();
+}
+
+function loadPolicyFile(file) {
+  if (!file) return;
+  file.text().then(text => {
+    document.getElementById("policySource").value = text;
+    showPolicyError(null);
+  });
+}
+
+// ===== Random Workloads =====
+function fillSelect(select, options) {
+  select.innerHTML = "";
+  Object.keys(options).forEach(key => {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = options[key];
+    select.appendChild(option);
+  });
+}
+
+function buildGeneratorControls() {
+  fillSelect(document.getElementById("genArrival"), ARRIVAL_DISTRIBUTIONS);
+  fillSelect(document.getElementById("genBurst"), BURST_DISTRIBUTIONS);
+  syncGeneratorInputs();
+}
+
+// Show only the inputs the chosen distributions use
+function syncGeneratorInputs() {
+  const arrival = document.getElementById("genArrival").value;
+  const burst = document.getElementById("genBurst").value;
+  const show = (id, visible) => { document.getElementById(id).parentElement.hidden = !visible; };
+  show("genLastArrival", arrival === "uniform");
+  show("genMeanInterarrival", arrival === "poisson");
+  show("genMeanBurst", burst === "exponential");
+  show("genShortShare", burst === "bimodal");
+}
+
+// One weight input per level; weights already entered are kept for levels that still exist
+function buildPriorityWeightInputs() {
+  const container = document.getElementById("genPriorityWeights");
+  const previous = Array.from(container.querySelectorAll("input")).map(input => input.value);
+  container.innerHTML = "";
+  for (let lvl = 1; lvl <= getLevelCount(); lvl++) {
+    const label = document.createElement("label");
+    label.textContent = `Level ${lvl}: `;
+    const input = document.createElement("input");
+    input.type = "number";
+    input.id = `genWeight${lvl}`;
+    input.min = "0";
+    input.value = previous[lvl - 1] !== undefined ? previous[lvl - 1] : 1;
+    label.appendChild(input);
+    container.appendChild(label);
+  }
+}
+
+function openGenerator() {
+  if (simulationStarted) return;
+  buildPriorityWeightInputs();
+  showGeneratorErrors([]);
+  document.getElementById("generatorDialog").showModal();
+}
+
+function readGeneratorOptions() {
+  const value = id => document.getElementById(id).value;
+  return {
+    count: parseInt(value("genCount")),
+    arrival: value("genArrival"),
+    lastArrival: parseInt(value("genLastArrival")),
+    meanInterarrival: parseFloat(value("genMeanInterarrival")),
+    burst: value("genBurst"),
+    minBurst: parseInt(value("genMinBurst")),
+    maxBurst: parseInt(value("genMaxBurst")),
+    meanBurst: parseFloat(value("genMeanBurst")),
+    shortShare: parseFloat(value("genShortShare")) / 100,
+    priorityWeights: Array.from(document.querySelectorAll("#genPriorityWeights input")).map(input => parseFloat(input.value)),
+    seed: value("genSeed")
+  };
+}
+
+function showGeneratorErrors(errors) {
+  const panel = document.getElementById("generatorErrors");
+  panel.innerHTML = "";
+  panel.hidden = errors.length === 0;
+  if (errors.length === 0) return;
+  const list = document.createElement("ul");
+  errors.forEach(message => {
+    const item = document.createElement("li");
+    item.textContent = message;
+    list.appendChild(item);
+  });
+  panel.appendChild(list);
+}
+
+// Fill the table from the dialog; names continue the P<n> numbering through addRow()
+function generateRandomWorkload() {
+  if (simulationStarted) return;
+  const levels = getLevelCount();
+  const options = readGeneratorOptions();
+  const errors = validateGeneratorOptions(options, levels);
+  showGeneratorErrors(errors);
+  if (errors.length > 0) return;
+
+  const { seed, processes } = generateWorkload(options, levels);
+  // Leave the seed in the dialog so the same workload can be generated again
+  document.getElementById("genSeed").value = seed;
+  if (document.getElementById("genReplace").checked) {
+    processTable.innerHTML = "";
+    scriptedChanges = []; // recorded changes belong to the replaced workload
+  }
+  processes.forEach(p => addRow("", p.arrivalTime, p.burstTime, p.priority));
+  document.getElementById("generatorDialog").close();
+  document.getElementById("shareStatus").textContent = `Generated ${processes.length} processes (seed ${seed}).`;
+}
+
+// ===== Results Export =====
+// Copied from the engine once per tick or change, however many panels ask
+function currentSnapshot() {
+  if (!latestSnapshot) latestSnapshot = scheduler.getSnapshot();
+  return latestSnapshot;
+}
+
+function ganttSVGOptions(snapshot) {
+  return { title: `MLQ Gantt chart (t=${snapshot.time})`, ioBlocks: snapshot.ioBlocks, markers: changeMarkers(snapshot.changes) };
+}
+
+function exportGanttSVG() {
+  const snapshot = currentSnapshot();
+  downloadFile("mlq-gantt.svg", ganttToSVG(coreLanes(snapshot), ganttSVGOptions(snapshot)), "image/svg+xml");
+}
+
+// Rasterize the same SVG through a canvas so the PNG matches it. Browsers refuse
+// canvases much wider than PNG_MAX_WIDTH, so long runs get narrower time units
+function exportGanttPNG() {
+  const status = document.getElementById("exportStatus");
+  const snapshot = currentSnapshot();
+  const lanes = coreLanes(snapshot);
+  const endTime = Math.max(1, ...lanes.map(blocks => (blocks.length > 0 ? blocks[blocks.length - 1].end : 0)));
+  const unitWidth = Math.min(SVG_UNIT_PX, (PNG_MAX_WIDTH - PNG_MARGIN_PX) / endTime);
+  const svg = ganttToSVG(lanes, Object.assign(ganttSVGOptions(snapshot), { unitWidth }));
+  const fail = () => {
+    status.textContent = "The PNG could not be created in this browser; download the SVG instead.";
+  };
+  status.textContent = "";
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width;
+    canvas.height = image.height;
+    canvas.getContext("2d").drawImage(image, 0, 0);
+    canvas.toBlob(blob => {
+      if (!blob) {
+        fail();
+        return;
+      }
+      downloadFile("mlq-gantt.png", blob, "image/png");
+      if (unitWidth < SVG_UNIT_PX) {
+        status.textContent = `The PNG was drawn at ${Number(unitWidth.toPrecision(2))} px per time unit to fit the browser's image size limit; the SVG keeps full size.`;
+      }
+    }, "image/png");
+  };
+  image.onerror = fail;
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+function exportGanttBlocksCSV() {
+  downloadFile("mlq-gantt-blocks.csv", ganttBlocksToCSV(coreLanes(currentSnapshot())), "text/csv");
+}
+
+function exportQueueTraceCSV() {
+  downloadFile("mlq-queue-trace.csv", queueTraceToCSV(scheduler.timeline), "text/csv");
+}
+
+// ===== Configuration Comparison =====
+function describeSettings(settings) {
+  const interval = value => (Number.isFinite(value) ? value : "off");
+  return `q=${settings.quantum.join("/")}, ${settings.policy.join("/")}, aging ${interval(settings.agingInterval)}, ` +
+    `starvation ${interval(settings.starvationInterval)}, expiry ${interval(settings.expiryDemotionInterval)}` +
+    (settings.preemptive ? ", preemptive" : "") +
+    (settings.cpus > 1 ? `, ${settings.cpus} CPUs (${settings.cpuQueues === "per-core" ? "per-CPU queues" : "shared queues"})` : "") +
+    (settings.contextSwitchCost > 0 ? `, switch cost ${settings.contextSwitchCost}` : "");
+}
+
+// Presets follow the current settings; saved ones keep the settings they were captured with.
+// With a custom policy selected it joins the list, on the current settings.
+function getComparisonConfigs() {
+  const configs = presetComparisonConfigs(getSettings())
+    .map((config, i) => Object.assign({ key: `preset-${i}` }, config));
+  if (customPolicyEnabled()) {
+    configs.push({ key: "custom-policy", name: "Custom policy", settings: getSettings(), policySource });
+  }
+  return configs.concat(savedComparisonConfigs);
+}
+
+function renderComparisonConfigs() {
+  const container = document.getElementById("comparisonConfigs");
+  // Keep the user's checkbox choices across re-renders
+  const unchecked = new Set(
+    Array.from(container.querySelectorAll("input:not(:checked)")).map(input => input.value)
+  );
+  container.innerHTML = "";
+  getComparisonConfigs().forEach(config => {
+    const label = document.createElement("label");
+    label.className = "comparison-config";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = config.key;
+    checkbox.checked = !unchecked.has(config.key);
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${config.name}`));
+    if (config.key.startsWith("saved-")) {
+      const remove = document.createElement("button");
+      remove.className = "remove-config";
+      remove.textContent = "Remove";
+      remove.addEventListener("click", event => {
+        event.preventDefault();
+        savedComparisonConfigs = savedComparisonConfigs.filter(c => c.key !== config.key);
+        renderComparisonConfigs();
+      });
+      label.appendChild(remove);
+    }
+    container.appendChild(label);
+  });
+}
+
+function addComparisonConfig() {
+  const settings = getSettings();
+  const number = ++savedComparisonCount;
+  savedComparisonConfigs.push({
+    key: `saved-${number}`,
+    name: `Config ${number}: ${describeSettings(settings)}`,
+    settings
+  });
+  renderComparisonConfigs();
+}
+
+function showComparisonMessage(text) {
+  const message = document.createElement("p");
+  message.className = "panel-hint";
+  message.textContent = text;
+  document.getElementById("comparisonResults").appendChild(message);
+}
+
+function runComparisonPanel() {
+  const results = document.getElementById("comparisonResults");
+  const processes = validateInputs();
+  if (!processes) {
+    results.innerHTML = "";
+    showComparisonMessage("Fix the highlighted inputs before comparing.");
+    return;
+  }
+
+  const checked = new Set(
+    Array.from(document.querySelectorAll("#comparisonConfigs input:checked")).map(input => input.value)
+  );
+  const configs = getComparisonConfigs().filter(config => checked.has(config.key));
+  const custom = configs.find(config => config.policySource !== undefined);
+  const runs = runComparison(processes, configs.filter(config => config !== custom), MAX_RUN_STEPS);
+  if (!custom) {
+    renderComparisonResults(runs);
+    return;
+  }
+
+  // The custom policy runs in its worker; its row keeps its place in the list
+  results.innerHTML = "";
+  showComparisonMessage("Running the custom policy...");
+  runPolicyInWorker(custom.policySource, processes, custom.settings).result.then(run => {
+    const snapshot = run.final;
+    runs.splice(configs.indexOf(custom), 0, { name: custom.name, settings: custom.settings, snapshot, statistics: computeStatistics(snapshot) });
+    renderComparisonResults(runs);
+  }, error => {
+    renderComparisonResults(runs);
+    showComparisonMessage(`Custom policy failed: ${error.message}`);
+  });
+}
+
+// Metrics table (best value per column highlighted) plus one Gantt lane per configuration
+function renderComparisonResults(runs) {
+  const results = document.getElementById("comparisonResults");
+  results.innerHTML = "";
+  if (runs.length === 0) return;
+
+  const columns = [
+    ["Completion Time", r => r.snapshot.time, "min"],
+    ["Avg Waiting", r => r.statistics.averageWaitingTime, "min"],
+    ["Avg Turnaround", r => r.statistics.averageTurnaroundTime, "min"],
+    ["Avg Response", r => r.statistics.averageResponseTime, "min"],
+    ["Context Switches", r => r.statistics.totalContextSwitches, "min"],
+    ["CPU Utilization", r => r.statistics.cpuUtilization * 100, "max"]
+  ];
+  const best = columns.map(([, value, goal]) => {
+    const values = runs.map(value).filter(v => v !== null);
+    return goal === "min" ? Math.min(...values) : Math.max(...values);
+  });
+
+  const table = document.createElement("table");
+  table.className = "stats-table comparison-table";
+  table.innerHTML = `<thead><tr><th>Configuration</th>${columns.map(([title]) => `<th>${title}</th>`).join("")}</tr></thead>`;
+  const body = document.createElement("tbody");
+  runs.forEach(run => {
+    const row = document.createElement("tr");
+    const name = document.createElement("td");
+    name.className = "config-name";
+    name.textContent = run.snapshot.complete ? run.name : `${run.name} (unfinished at t=${run.snapshot.time})`;
+    name.title = describeSettings(run.settings);
+    row.appendChild(name);
+    columns.forEach(([title, value], c) => {
+      const cell = document.createElement("td");
+      const v = value(run);
+      cell.textContent = title === "CPU Utilization" ? `${formatStat(v, 1)}%` : formatStat(v);
+      if (v === best[c]) cell.classList.add("best");
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+  table.appendChild(body);
+  results.appendChild(table);
+
+  // Stacked Gantt lanes on one shared scale, scrolling together
+  const lanes = document.createElement("div");
+  lanes.className = "comparison-lanes";
+  runs.forEach(run => {
+    run.snapshot.cores.forEach(core => {
+      const label = document.createElement("div");
+      label.className = "comparison-lane-label";
+      label.textContent = run.snapshot.cores.length > 1 ? `${run.name} - CPU ${core.id + 1}` : run.name;
+      const lane = document.createElement("div");
+      lane.className = "comparison-lane";
+      core.ganttBlocks.forEach(block => {
+        const div = ganttBlockElement(block, COMPARISON_UNIT_PX);
+        div.title = `${block.name}: ${block.start}-${block.end}`;
+        lane.appendChild(div);
+      });
+      lanes.appendChild(label);
+      lanes.appendChild(lane);
+    });
+  });
+  results.appendChild(lanes);
+}
+
+// ===== Quiz Mode =====
+function quizModeEnabled() {
+  return document.getElementById("quizMode").checked;
+}
+
+function toggleQuizMode() {
+  stopAutoPlay();
+  document.getElementById("quizPanel").hidden = !quizModeEnabled();
+  document.getElementById("quizFeedback").innerHTML = "";
+  updateControls(scheduler ? currentSnapshot() : null);
+  renderQuizQuestion();
+}
+
+function renderQuizScore() {
+  document.getElementById("quizScore").textContent = `Score: ${quizScore.correct}/${quizScore.total}`;
+}
+
+// A select with `choices` ([value, label] pairs), `selected` picked
+function quizSelect(choices, selected) {
+  const select = document.createElement("select");
+  choices.forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+  select.value = selected;
+  return select;
+}
+
+function quizLabel(text, control) {
+  const label = document.createElement("label");
+  label.textContent = `${text} `;
+  label.appendChild(control);
+  return label;
+}
+
+// The question for the tick after the shown snapshot, with the inputs for the answer
+function renderQuizQuestion() {
+  const container = document.getElementById("quizQuestion");
+  container.innerHTML = "";
+  if (!quizModeEnabled()) return;
+  if (!simulationStarted) {
+    container.textContent = scheduler
+      ? "The run is complete. Reset to start a new quiz."
+      : "Start the simulation to get the first question.";
+    return;
+  }
+
+  const snapshot = currentSnapshot();
+  const type = document.getElementById("quizType").value;
+  const prompt = document.createElement("p");
+  prompt.className = "quiz-prompt";
+  prompt.textContent = `t=${snapshot.time}: ${QUIZ_QUESTIONS[type]}`;
+  container.appendChild(prompt);
+  const multiCore = snapshot.cores.length > 1;
+
+  if (type === "next-process") {
+    const choices = [["", "Idle"]].concat(quizProcesses(snapshot).map(name => [name, name]));
+    snapshot.cores.forEach(core => {
+      const current = core.currentProcess ? core.currentProcess.name : "";
+      container.appendChild(quizLabel(multiCore ? `CPU ${core.id + 1}:` : "CPU:", quizSelect(choices, current)));
+    });
+  } else if (type === "queues") {
+    const names = quizProcesses(snapshot);
+    if (names.length === 0) {
+      container.appendChild(document.createTextNode("No process is in the system at the next tick."));
+    }
+    const choices = locationChoices(snapshot).map(key => [key, locationLabel(key)]);
+    names.forEach(name => {
+      // Start from where the process is now (new arrivals: their submitted level)
+      let current = processLocation(snapshot, name);
+      if (current === "not-arrived") current = `level${snapshot.processes.find(p => p.name === name).priority}`;
+      const select = quizSelect(choices, current);
+      select.dataset.process = name;
+      container.appendChild(quizLabel(`${name}:`, select));
+    });
+  } else {
+    const hint = document.createElement("p");
+    hint.className = "panel-hint";
+    hint.textContent = "Process names in the order they hold the CPU, e.g. P1 P3 P2 P1 (leave out idle time and context switches). Checking runs the simulation to the end.";
+    container.appendChild(hint);
+    snapshot.cores.forEach(core => {
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = "quiz-gantt-input";
+      input.placeholder = "e.g. P1 P3 P2 P1";
+      container.appendChild(quizLabel(multiCore ? `CPU ${core.id + 1}:` : "Gantt:", input));
+    });
+  }
+}
+
+// Grade the answer against the engine: the next tick is applied (or, for the
+// Gantt chart, the run is finished) and the outcome compared with the prediction
+function checkQuizAnswer() {
+  if (!simulationStarted) return;
+  const container = document.getElementById("quizQuestion");
+  const type = document.getElementById("quizType").value;
+  let result;
+  let explanations;
+
+  if (type === "gantt") {
+    const answer = Array.from(container.querySelectorAll("input")).map(input => parseStintList(input.value));
+    runToEnd();
+    result = gradeGantt(answer, currentSnapshot());
+    // A wrong stint is explained by the tick that dispatched it
+    explanations = result.mistakes.filter(m => m.stint).flatMap(m => {
+      const tick = m.stint.start;
+      return explainEvents(scheduler.events.filter(e => e.time === tick), settingsAt(tick), [m.stint.name]);
+    });
   } else {
-    ganttBlocks.forEach((block) => {
-      let div = document.createElement("div");
-      div.className = block.isIdle ? "gantt-block idle" : "gantt-block";
-      const w = (block.end - block.start) * TIME_UNIT_PX;
-      // exact width + prevent flex-shrink
-      div.style.width = `${w}px`;
-      div.style.flex = `0 0 ${w}px`;
-      div.innerText = block.name;
-      ganttChart.appendChild(div);
+    const before = currentSnapshot();
+    let answer;
+    if (type === "next-process") {
+      answer = Array.from(container.querySelectorAll("select")).map(select => select.value);
+    } else {
+      answer = {};
+      container.querySelectorAll("select").forEach(select => { answer[select.dataset.process] = select.value; });
+    }
+    advance();
+    const next = currentSnapshot();
+    showSnapshot(next);
+    if (type === "next-process") {
+      result = gradeNextProcess(answer, next);
+      explanations = result.correct ? [] : explainEvents(next.events, next.settings);
+    } else {
+      result = gradeQueues(answer, next);
+      const names = result.mistakes.map(m => m.subject);
+      explanations = explainEvents(next.events, next.settings, names);
+      // Nothing happened to a process: it simply stayed put
+      names.filter(name => !next.events.some(e => e.process === name)).forEach(name => {
+        explanations.push(`Nothing moved ${name} this tick, so it stayed: ${locationLabel(processLocation(before, name))}.`);
+      });
+    }
+  }
+
+  quizScore.total++;
+  if (result.correct) quizScore.correct++;
+  renderQuizScore();
+  renderQuizFeedback(result, explanations);
+}
+
+// Settings in force after tick `time`: the run's starting settings with the changes made by then
+function settingsAt(time) {
+  return scheduler.changes
+    .filter(change => change.type === "settings" && change.time <= time)
+    .reduce((settings, change) => Object.assign(settings, change.settings), Object.assign({}, runScenario.settings));
+}
+
+function renderQuizFeedback(result, explanations) {
+  const feedback = document.getElementById("quizFeedback");
+  feedback.innerHTML = "";
+  feedback.className = `quiz-feedback ${result.correct ? "correct" : "wrong"}`;
+  const verdict = document.createElement("div");
+  verdict.className = "quiz-verdict";
+  verdict.textContent = result.correct ? "Correct!" : "Not quite:";
+  feedback.appendChild(verdict);
+  if (result.correct) return;
+
+  const list = document.createElement("ul");
+  result.mistakes.forEach(m => {
+    const item = document.createElement("li");
+    item.textContent = `${m.subject}: you said ${m.answer}, the engine gave ${m.expected}.`;
+    list.appendChild(item);
+  });
+  feedback.appendChild(list);
+  if (explanations.length > 0) {
+    const why = document.createElement("div");
+    why.className = "quiz-why";
+    why.textContent = "Why:";
+    const reasons = document.createElement("ul");
+    explanations.forEach(text => {
+      const item = document.createElement("li");
+      item.textContent = text;
+      reasons.appendChild(item);
     });
+    feedback.appendChild(why);
+    feedback.appendChild(reasons);
+  }
+}
+
+// ===== Queue and Priority History =====
+// Charts of the engine's timeline, which runs up to the shown tick (rewind() trims it).
+// historyCharts reads only the ticks added since the last redraw
+function renderHistoryCharts() {
+  const queueChart = document.getElementById("queueHistoryChart");
+  const priorityChart = document.getElementById("priorityHistoryChart");
+  if (!scheduler) {
+    historyCharts.reset();
+    queueChart.innerHTML = "";
+    priorityChart.innerHTML = "";
+    return;
   }
+  const width = Math.max(400, queueChart.clientWidth || 800);
+  historyCharts.update(scheduler.timeline, scheduler.events);
+  queueChart.innerHTML = queueOccupancyToSVG(historyCharts.queueSeries(), { width });
+  priorityChart.innerHTML = priorityLanesToSVG(historyCharts.priorityHistory(), { width, endTime: scheduler.currentTime });
 }
 
-// NEW: axis helpers (append-only; never remove earlier ticks)
-function ensureAxisZero() {
-  if (axisZeroPlaced) return;
-  const zero = document.createElement("div");
-  zero.className = "time-marker";
-  const w = TIME_UNIT_PX;
-  zero.style.width = `${w}px`;
-  zero.style.flex = `0 0 ${w}px`; // prevent shrink on small viewports
-  zero.textContent = "0";
-  timeIndicators.appendChild(zero);
-  axisZeroPlaced = true;
-}
-
-function appendTickPerUnit(value) {
-  // Ensure 0 exists exactly once
-  ensureAxisZero();
-
-  // Only append forward (protects against duplicate calls)
-  if (value <= lastTickValue) return;
-
-  // Append ticks up to 'value' (covers any skipped increments)
-  for (let t = lastTickValue + 1; t <= value; t++) {
-    const marker = document.createElement("div");
-    marker.className = "time-marker";
-    const w = TIME_UNIT_PX;
-    marker.style.width = `${w}px`;
-    marker.style.flex = `0 0 ${w}px`; // prevent shrink
-    marker.textContent = String(t);
-    timeIndicators.appendChild(marker);
+// ===== Event Log =====
+function buildLogFilters() {
+  const container = document.getElementById("logTypeFilters");
+  container.innerHTML = "";
+  Object.keys(EVENT_TYPES).forEach(type => {
+    const label = document.createElement("label");
+    label.className = "log-filter";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = type;
+    checkbox.checked = true;
+    checkbox.addEventListener("change", renderEventLog);
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(` ${EVENT_TYPES[type]}`));
+    container.appendChild(label);
+  });
+}
+
+// Time-stamped entries for every tick shown so far, filtered by type and process name
+function renderEventLog() {
+  eventLog.innerHTML = "";
+  loggedEvents = 0;
+  lastLoggedEvent = null;
+  updateEventLog();
+}
+
+// List the events since the last update. The list starts over when the events no longer
+// continue it: after a rewind, or in a new run
+function updateEventLog() {
+  const events = scheduler ? scheduler.events : [];
+  if (loggedEvents > 0 && events[loggedEvents - 1] !== lastLoggedEvent) {
+    renderEventLog();
+    return;
   }
-  lastTickValue = value;
+  const types = new Set(
+    Array.from(document.querySelectorAll("#logTypeFilters input:checked")).map(input => input.value)
+  );
+  const name = document.getElementById("logProcessFilter").value.trim().toLowerCase();
+
+  events.slice(loggedEvents).forEach(event => {
+    if (!types.has(event.type)) return;
+    if (name && !(event.process || "").toLowerCase().includes(name)) return;
+
+    const entry = document.createElement("li");
+    entry.className = `log-entry log-${event.type}`;
+    entry.innerHTML = `<span class="log-time">t=${event.time}</span> <span class="log-type">${EVENT_TYPES[event.type]}</span> `;
+    entry.appendChild(document.createTextNode(event.message));
+    entry.addEventListener("click", () => highlightEvent(event, entry));
+    eventLog.appendChild(entry);
+  });
+  loggedEvents = events.length;
+  lastLoggedEvent = events[events.length - 1] || null;
+  eventLog.scrollTop = eventLog.scrollHeight;
 }
 
-// NEW: keep bars and axis scrolled together
-function initScrollSync() {
-  let syncing = false;
-  ganttChart.addEventListener("scroll", () => {
-    if (syncing) return;
-    syncing = true;
-    timeIndicators.scrollLeft = ganttChart.scrollLeft;
-    syncing = false;
+/**
+ * Index of the Gantt block an event refers to, or -1 if it has none (yet).
+ * Completion/expiry/preemption happen at the end of a slot, so they match the
+ * block ending at the event time; everything else matches the block starting there.
+ */
+function findGanttBlockIndex(blocks, event) {
+  // A settings change affects every process: point at whatever runs from then on
+  if (event.type === "settings-change") return blocks.findIndex(block => block.start <= event.time && event.time < block.end);
+  const name = event.type === "context-switch" ? "CS" : event.process || "Idle";
+  const endsHere = ["completion", "quantum-expiry", "expiry-demotion", "preemption", "io-block"].includes(event.type);
+  const covers = block => (endsHere
+    ? block.start < event.time && event.time <= block.end
+    : block.start <= event.time && event.time < block.end);
+  const exact = blocks.findIndex(block => block.name === name && covers(block));
+  if (exact !== -1) return exact;
+  // e.g. an arrival while others run: point at the process's next block
+  return blocks.findIndex(block => block.name === name && block.start >= event.time);
+}
+
+// `{ lane, index }` of an event's block: on the event's CPU, or the earliest match on any CPU
+function findGanttBlock(cores, event) {
+  const lanes = event.core ? [event.core - 1] : cores.map((_, lane) => lane);
+  let found = null;
+  lanes.forEach(lane => {
+    const blocks = cores[lane].ganttBlocks;
+    const index = findGanttBlockIndex(blocks, event);
+    if (index === -1) return;
+    if (!found || blocks[index].start < cores[found.lane].ganttBlocks[found.index].start) {
+      found = { lane, index };
+    }
   });
-  timeIndicators.addEventListener("scroll", () => {
-    if (syncing) return;
-    syncing = true;
-    ganttChart.scrollLeft = timeIndicators.scrollLeft;
-    syncing = false;
+  return found;
+}
+
+function highlightEvent(event, entry) {
+  const cores = currentSnapshot().cores;
+  highlightedBlock = findGanttBlock(cores, event);
+
+  eventLog.querySelectorAll(".log-entry.selected").forEach(el => el.classList.remove("selected"));
+  entry.classList.add("selected");
+  ganttView.setHighlight(highlightedBlock);
+  if (highlightedBlock !== null) {
+    // Bring the block into view
+    ganttView.scrollToTime(cores[highlightedBlock.lane].ganttBlocks[highlightedBlock.index].start);
+  }
+}
+
+// ===== Statistics =====
+function ganttBlockClass(block) {
+  if (block.isIdle) return "gantt-block idle";
+  return block.isSwitch ? "gantt-block switch" : "gantt-block";
+}
+
+// One Gantt block, `unitPx` wide per time unit
+function ganttBlockElement(block, unitPx) {
+  const div = document.createElement("div");
+  div.className = ganttBlockClass(block);
+  const w = (block.end - block.start) * unitPx;
+  // exact width + prevent flex-shrink (avoids flex rounding on narrow screens)
+  div.style.width = `${w}px`;
+  div.style.flex = `0 0 ${w}px`;
+  div.innerText = block.name;
+  return div;
+}
+
+function formatStat(value, digits = 2) {
+  return value === null ? "-" : String(Number(value.toFixed(digits)));
+}
+
+// Per-process results table with averages, CPU utilization and throughput
+function renderStatistics(snapshot) {
+  const stats = computeStatistics(snapshot);
+  const perCore = stats.coreUtilization.length > 1
+    ? ` (${stats.coreUtilization.map((u, i) => `CPU ${i + 1}: ${formatStat(u * 100, 1)}%`).join(", ")})`
+    : "";
+
+  statsPanel.innerHTML = `
+    <table class="stats-table">
+      <thead>
+        <tr>
+          <th>Process</th>
+          <th>Arrival</th>
+          <th>Burst</th>
+          <th>First Run</th>
+          <th>Completion</th>
+          <th>Turnaround</th>
+          <th>Response</th>
+          <th>Waiting</th>
+          <th>I/O</th>
+          <th>Context Switches</th>
+          <th>Promotions</th>
+          <th>Demotions</th>
+        </tr>
+      </thead>
+      <tbody></tbody>
+    </table>
+    <div class="stats-summary">
+      <span><span class="label">Avg Waiting:</span> ${formatStat(stats.averageWaitingTime)}</span>
+      <span><span class="label">Avg Turnaround:</span> ${formatStat(stats.averageTurnaroundTime)}</span>
+      <span><span class="label">Avg Response:</span> ${formatStat(stats.averageResponseTime)}</span>
+      <span><span class="label">Context Switches:</span> ${stats.totalContextSwitches}</span>
+      <span><span class="label">Switch Overhead:</span> ${stats.switchTime} units (${stats.switchCount} switches)</span>
+      <span><span class="label">CPU Utilization:</span> ${formatStat(stats.cpuUtilization * 100, 1)}%${perCore}</span>
+      <span><span class="label">Throughput:</span> ${formatStat(stats.throughput, 3)} processes/unit</span>
+    </div>
+    <div class="stats-note">Averages cover the ${stats.completed} of ${stats.processes.length} processes completed so far.</div>
+  `;
+
+  // Process names come from the table, imports and links: set them as text, never markup
+  const body = statsPanel.querySelector("tbody");
+  stats.processes.forEach(r => {
+    const row = document.createElement("tr");
+    [
+      r.name, r.arrivalTime, r.burstTime, formatStat(r.startTime), formatStat(r.completionTime),
+      formatStat(r.turnaroundTime), formatStat(r.responseTime), r.waitingTime, r.ioTime,
+      r.contextSwitches, r.promotions, r.demotions
+    ].forEach(value => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
   });
 }
 
@@ -567,8 +1766,85 @@ document.getElementById("addRowBtn").addEventListener("click", () => addRow());
 document.getElementById("resetBtn").addEventListener("click", resetSimulation);
 document.getElementById("startBtn").addEventListener("click", startSimulation);
 document.getElementById("nextStepBtn").addEventListener("click", nextStep);
+document.getElementById("prevStepBtn").addEventListener("click", previousStep);
+document.getElementById("playBtn").addEventListener("click", toggleAutoPlay);
+document.getElementById("runToBtn").addEventListener("click", () => {
+  runToTime(parseInt(document.getElementById("runToTime").value));
+});
+document.getElementById("runEndBtn").addEventListener("click", runToEnd);
+document.getElementById("logProcessFilter").addEventListener("input", renderEventLog);
+document.getElementById("exportJsonBtn").addEventListener("click", exportWorkloadJSON);
+document.getElementById("copyLinkBtn").addEventListener("click", copyShareLink);
+document.getElementById("generateBtn").addEventListener("click", openGenerator);
+document.getElementById("generateConfirmBtn").addEventListener("click", generateRandomWorkload);
+document.getElementById("generateCancelBtn").addEventListener("click", () => document.getElementById("generatorDialog").close());
+["genArrival", "genBurst"].forEach(id => document.getElementById(id).addEventListener("change", syncGeneratorInputs));
+document.getElementById("quizMode").addEventListener("change", toggleQuizMode);
+document.getElementById("quizType").addEventListener("change", renderQuizQuestion);
+document.getElementById("quizCheckBtn").addEventListener("click", checkQuizAnswer);
+document.getElementById("injectBtn").addEventListener("click", injectProcessNow);
+document.getElementById("policyMode").addEventListener("change", renderComparisonConfigs);
+document.getElementById("editPolicyBtn").addEventListener("click", openPolicyEditor);
+document.getElementById("policyExampleBtn").addEventListener("click", loadPolicyExample);
+document.getElementById("policyTestBtn").addEventListener("click", testPolicy);
+document.getElementById("policyUseBtn").addEventListener("click", usePolicy);
+document.getElementById("policyCancelBtn").addEventListener("click", () => document.getElementById("policyDialog").close());
+document.getElementById("policySaveBtn").addEventListener("click", () => {
+  downloadFile("mlq-policy.js", document.getElementById("policySource").value, "text/javascript");
+});
+document.getElementById("policyOpenBtn").addEventListener("click", () => document.getElementById("policyFile").click());
+document.getElementById("policyFile").addEventListener("change", event => {
+  loadPolicyFile(event.target.files[0]);
+  event.target.value = ""; // allow re-opening the same file
+});
+document.getElementById("addComparisonBtn").addEventListener("click", addComparisonConfig);
+document.getElementById("runComparisonBtn").addEventListener("click", runComparisonPanel);
+window.addEventListener("hashchange", loadWorkloadFromHash);
+document.getElementById("zoomInBtn").addEventListener("click", () => ganttView.zoomBy(GANTT_ZOOM_STEP));
+document.getElementById("zoomOutBtn").addEventListener("click", () => ganttView.zoomBy(1 / GANTT_ZOOM_STEP));
+document.getElementById("zoomFitBtn").addEventListener("click", () => ganttView.fitToWidth());
+ganttView.onZoom = renderZoomLevel;
+window.addEventListener("resize", renderHistoryCharts); // the charts are scaled to the panel width
+document.getElementById("exportSvgBtn").addEventListener("click", exportGanttSVG);
+document.getElementById("exportPngBtn").addEventListener("click", exportGanttPNG);
+document.getElementById("exportBlocksCsvBtn").addEventListener("click", exportGanttBlocksCSV);
+document.getElementById("exportTraceCsvBtn").addEventListener("click", exportQueueTraceCSV);
+document.getElementById("exportCsvBtn").addEventListener("click", exportProcessCSV);
+[["importJsonBtn", "importJsonFile", "json"], ["importCsvBtn", "importCsvFile", "csv"]].forEach(([buttonId, inputId, format]) => {
+  const input = document.getElementById(inputId);
+  document.getElementById(buttonId).addEventListener("click", () => input.click());
+  input.addEventListener("change", () => {
+    importWorkloadFile(input.files[0], format);
+    input.value = ""; // allow re-importing the same file
+  });
+});
+document.getElementById("playSpeed").addEventListener("input", () => {
+  document.getElementById("playSpeedValue").textContent = getPlaySpeed();
+  // Restart the timer so a new speed applies while playing
+  if (playTimer) {
+    stopAutoPlay();
+    startAutoPlay();
+  }
+});
+levelCountInput.addEventListener("change", () => {
+  if (!simulationStarted) buildLevelControls();
+  revalidateInputs();
+});
+// Once problems are listed, fixes clear their marks as they are typed
+processTable.addEventListener("input", revalidateInputs);
+document.querySelector(".settings").addEventListener("input", revalidateInputs);
 
 // ===== Load Defaults on Page Load =====
 window.onload = () => {
+  buildLevelControls();
+  buildLogFilters();
+  renderComparisonConfigs();
+  buildGeneratorControls();
+  fillSelect(document.getElementById("quizType"), QUIZ_QUESTIONS);
+  fillSelect(document.getElementById("policyExample"), Object.fromEntries(
+    Object.keys(POLICY_EXAMPLES).map(key => [key, POLICY_EXAMPLES[key].name])
+  ));
   defaultProcesses.forEach(p => addRow(p.name, p.arrivalTime, p.burstTime, p.priority));
+  // A shared link replaces the defaults
+  loadWorkloadFromHash();
 };
@@ -0,0 +1,37 @@
+// ===== Quiz Explanation Tests =====
+// Explanations of a tick's events. Run with `node --test test/` like the engine tests.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Scheduler } = require("../scheduler.js");
+const { explainEvent } = require("../quiz.js");
+
+const PROCESSES = [
+  { name: "A", arrivalTime: 0, burstTime: 2, priority: 1 },
+  { name: "B", arrivalTime: 0, burstTime: 2, priority: 1 }
+];
+
+// The first dispatch of a run, with the settings in force then
+function firstDispatch(options) {
+  const scheduler = new Scheduler(PROCESSES, { policy: ["FCFS", "RR", "RR"] }, options);
+  return { event: scheduler.events.find(e => e.type === "dispatch"), settings: scheduler.settings };
+}
+
+test("a built-in dispatch is explained by the level's policy", () => {
+  const { event, settings } = firstDispatch({});
+  assert.equal(event.process, "A");
+  assert.equal(event.policy, "FCFS");
+  assert.equal(explainEvent(event, settings),
+    "Level 1 was the highest level with a waiting process; its FCFS policy takes the first in line, which was A.");
+});
+
+test("a dispatch chosen by a custom policy's selectNext() names the hook, not the level's policy", () => {
+  // Last in line instead of FCFS's first in line
+  const selectNext = state => state.queues[0][state.queues[0].length - 1].name;
+  const { event, settings } = firstDispatch({ policyHooks: { selectNext } });
+  assert.equal(event.process, "B");
+  assert.equal(event.policy, "selectNext");
+  const text = explainEvent(event, settings);
+  assert.match(text, /custom policy's selectNext\(\) hook chose B from level 1/);
+  assert.doesNotMatch(text, /FCFS/);
+});
@@ -0,0 +1,182 @@
+// ===== Engine Regression Tests =====
+// Known workloads through the headless engine, checked against worked-out Gantt charts
+// and statistics. Run from the project folder with `node --test test/` (Node 18+).
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Scheduler, computeStatistics, replayRun } = require("../scheduler.js");
+const { runPolicy, PolicyPlayback, POLICY_EXAMPLES } = require("../policy.js");
+
+// The page's default process table
+const DEFAULT_PROCESSES = [
+  { name: "P1", arrivalTime: 1, burstTime: 20, priority: 3 },
+  { name: "P2", arrivalTime: 3, burstTime: 10, priority: 2 },
+  { name: "P3", arrivalTime: 5, burstTime: 2, priority: 1 },
+  { name: "P4", arrivalTime: 8, burstTime: 7, priority: 2 },
+  { name: "P5", arrivalTime: 11, burstTime: 15, priority: 3 },
+  { name: "P6", arrivalTime: 15, burstTime: 8, priority: 2 },
+  { name: "P7", arrivalTime: 20, burstTime: 4, priority: 1 }
+];
+
+// Each CPU's lane as "name:start-end" blocks
+function gantt(snapshot) {
+  return snapshot.cores.map(core => core.ganttBlocks.map(b => `${b.name}:${b.start}-${b.end}`).join(" "));
+}
+
+// Run to completion, applying `changes` ({ time, apply(scheduler) }) between ticks like the page;
+// `snapshots[t]` is the state after tick t, as JSON
+function runWithChanges(processes, settings, changes, options = {}) {
+  const scheduler = new Scheduler(processes, settings, options);
+  const pending = changes.slice();
+  const applyDue = () => {
+    while (pending.length > 0 && pending[0].time <= scheduler.currentTime) pending.shift().apply(scheduler);
+  };
+  applyDue();
+  const snapshots = [JSON.stringify(scheduler.getSnapshot())];
+  while (!scheduler.isComplete()) {
+    scheduler.tick();
+    applyDue();
+    snapshots.push(JSON.stringify(scheduler.getSnapshot()));
+  }
+  return { scheduler, snapshots };
+}
+
+test("default workload: Gantt chart", () => {
+  const final = new Scheduler(DEFAULT_PROCESSES, {}).runToCompletion();
+  assert.equal(final.time, 67);
+  assert.equal(final.complete, true);
+  assert.deepEqual(gantt(final), [
+    "Idle:0-1 P1:1-4 P2:4-7 P3:7-9 P2:9-12 P4:12-15 P1:15-18 P6:18-21 P4:21-24 P7:24-27 P5:27-30 " +
+    "P2:30-33 P1:33-36 P6:36-39 P7:39-40 P4:40-41 P5:41-44 P2:44-45 P1:45-48 P6:48-50 P5:50-53 " +
+    "P1:53-56 P5:56-59 P1:59-62 P5:62-65 P1:65-67"
+  ]);
+});
+
+test("default workload: statistics", () => {
+  const stats = computeStatistics(new Scheduler(DEFAULT_PROCESSES, {}).runToCompletion());
+  const rows = stats.processes.map(r => [r.name, r.completionTime, r.turnaroundTime, r.waitingTime, r.responseTime, r.contextSwitches, r.promotions, r.demotions]);
+  assert.deepEqual(rows, [
+    ["P1", 67, 66, 46, 0, 6, 4, 3],
+    ["P2", 45, 42, 32, 1, 4, 2, 1],
+    ["P3", 9, 4, 2, 2, 1, 0, 0],
+    ["P4", 41, 33, 26, 4, 3, 2, 1],
+    ["P5", 65, 54, 39, 16, 5, 3, 2],
+    ["P6", 50, 35, 27, 3, 3, 2, 1],
+    ["P7", 40, 20, 16, 4, 2, 0, 0]
+  ]);
+  // Turnaround is burst plus waiting when there is no I/O
+  stats.processes.forEach(r => assert.equal(r.turnaroundTime, r.burstTime + r.waitingTime));
+  assert.equal(stats.completed, 7);
+  assert.equal(stats.averageWaitingTime, 188 / 7);
+  assert.equal(stats.averageTurnaroundTime, 254 / 7);
+  assert.equal(stats.cpuUtilization, 66 / 67);
+  assert.equal(stats.throughput, 7 / 67);
+});
+
+test("two CPUs share the ready queues", () => {
+  const final = new Scheduler(DEFAULT_PROCESSES, { cpus: 2 }).runToCompletion();
+  assert.equal(final.time, 36);
+  assert.deepEqual(gantt(final), [
+    "Idle:0-1 P1:1-7 P2:7-10 P1:10-13 P2:13-16 P6:16-19 P4:19-20 P7:20-24 P5:24-27 P6:27-29 P1:29-34 Idle:34-36",
+    "Idle:0-3 P2:3-6 P3:6-8 P4:8-14 P5:14-17 P1:17-20 P6:20-23 P2:23-24 P1:24-27 P5:27-36"
+  ]);
+  assert.deepEqual(computeStatistics(final).coreUtilization, [33 / 36, 33 / 36]);
+});
+
+test("context switches cost time, except the CPU's first dispatch", () => {
+  const final = new Scheduler([
+    { name: "A", arrivalTime: 0, burstTime: 3, priority: 1 },
+    { name: "B", arrivalTime: 0, burstTime: 2, priority: 1 }
+  ], { quantum: [2, 2, 2], contextSwitchCost: 1 }).runToCompletion();
+  assert.deepEqual(gantt(final), ["A:0-2 CS:2-3 B:3-5 CS:5-6 A:6-7"]);
+  const stats = computeStatistics(final);
+  assert.deepEqual(stats.processes.map(r => [r.name, r.contextSwitches, r.waitingTime]), [["A", 1, 4], ["B", 1, 3]]);
+  assert.equal(stats.switchTime, 2);
+});
+
+test("I/O bursts block the process and leave the CPU idle when nothing is ready", () => {
+  const final = new Scheduler([
+    { name: "A", arrivalTime: 0, burstTime: 0, bursts: [3, 2, 2], priority: 2 },
+    { name: "B", arrivalTime: 0, burstTime: 4, priority: 2 },
+    { name: "C", arrivalTime: 0, burstTime: 0, bursts: [1, 4, 1, 1, 1], priority: 3 }
+  ], {}).runToCompletion();
+  assert.deepEqual(gantt(final), ["A:0-3 B:3-6 C:6-7 A:7-9 B:9-10 Idle:10-11 C:11-12 Idle:12-13 C:13-14"]);
+  assert.deepEqual(final.ioBlocks.map(b => `${b.name}:${b.start}-${b.end}`), ["A:3-5", "C:7-11", "C:12-13"]);
+  const rows = computeStatistics(final).processes.map(r => [r.name, r.burstTime, r.ioTime, r.turnaroundTime, r.waitingTime]);
+  assert.deepEqual(rows, [["A", 5, 2, 9, 2], ["B", 4, 0, 10, 6], ["C", 3, 5, 14, 6]]);
+});
+
+test("replayRun() reproduces a run with injections and settings changes", () => {
+  const { scheduler } = runWithChanges(DEFAULT_PROCESSES, {}, [
+    { time: 6, apply: s => s.injectProcess({ name: "X", burstTime: 4, priority: 1 }) },
+    { time: 10, apply: s => s.updateSettings({ quantum: [2, 4, 6] }) }
+  ]);
+  const live = scheduler.getSnapshot();
+  assert.deepEqual(live.changes.map(c => [c.time, c.type]), [[6, "inject"], [10, "settings"]]);
+  const replayed = replayRun(DEFAULT_PROCESSES, {}, live.changes);
+  assert.deepEqual(gantt(replayed), gantt(live));
+  assert.deepEqual(computeStatistics(replayed), computeStatistics(live));
+  assert.deepEqual(replayed.allEvents, scheduler.events);
+});
+
+test("rewind() returns to the state recorded at each earlier tick", () => {
+  const { scheduler, snapshots } = runWithChanges(DEFAULT_PROCESSES, { cpus: 2, contextSwitchCost: 1 }, [
+    { time: 5, apply: s => s.injectProcess({ name: "X", burstTime: 0, bursts: [2, 3, 2], priority: 1 }) },
+    { time: 9, apply: s => s.updateSettings({ preemptive: true }) }
+  ], { checkpointInterval: 4 });
+  [snapshots.length - 2, 20, 9, 8, 5, 4, 1, 0].forEach(time => {
+    scheduler.rewind(time);
+    assert.equal(JSON.stringify(scheduler.getSnapshot()), snapshots[time], `t=${time}`);
+  });
+});
+
+test("a custom policy run replays from its hook answers", () => {
+  const run = runPolicy(POLICY_EXAMPLES.mlfq.source, DEFAULT_PROCESSES, {});
+  const playback = new PolicyPlayback(DEFAULT_PROCESSES, {}, run);
+  const final = playback.runToCompletion();
+  assert.equal(playback.truncated, false);
+  assert.equal(final.time, run.final.time);
+  assert.deepEqual(gantt(final), gantt(run.final));
+  assert.deepEqual(computeStatistics(final), computeStatistics(run.final));
+  playback.rewind(10);
+  assert.equal(playback.currentTime, 10);
+  assert.ok(playback.events.every(event => event.time <= 10));
+});
+
+test("a starvation promotion is queued ahead of an arrival in the same tick", () => {
+  // B has waited 5 ticks at level 2 when C arrives at level 1: B is promoted first
+  const scheduler = new Scheduler([
+    { name: "A", arrivalTime: 0, burstTime: 8, priority: 1 },
+    { name: "B", arrivalTime: 0, burstTime: 2, priority: 2 },
+    { name: "C", arrivalTime: 5, burstTime: 2, priority: 1 }
+  ], {});
+  let snapshot;
+  for (let time = 1; time <= 5; time++) snapshot = scheduler.step();
+  assert.equal(snapshot.cores[0].currentProcess.name, "A");
+  assert.deepEqual(snapshot.readyQueues.map(queue => queue.map(p => p.name)), [["B", "C"], [], []]);
+  assert.deepEqual(gantt(scheduler.runToCompletion()), ["A:0-6 B:6-8 C:8-10 A:10-12"]);
+});
+
+test("a priority outside the levels is rejected", () => {
+  assert.throws(() => new Scheduler([{ name: "A", arrivalTime: 0, burstTime: 1, priority: 4 }], { levels: 3 }), RangeError);
+});
+
+test("SRTF preempts for a shorter job; SJF and FCFS do not", () => {
+  const processes = [
+    { name: "A", arrivalTime: 0, burstTime: 6, priority: 1 },
+    { name: "B", arrivalTime: 1, burstTime: 2, priority: 1 }
+  ];
+  const run = policy => gantt(new Scheduler(processes, { policy: [policy, "RR", "RR"] }).runToCompletion());
+  assert.deepEqual(run("SRTF"), ["A:0-1 B:1-3 A:3-8"]);
+  assert.deepEqual(run("SJF"), ["A:0-6 B:6-8"]);
+  assert.deepEqual(run("FCFS"), ["A:0-6 B:6-8"]);
+});
+
+test("a higher-level arrival preempts only when preemption is on", () => {
+  const processes = [
+    { name: "L", arrivalTime: 0, burstTime: 5, priority: 3 },
+    { name: "H", arrivalTime: 2, burstTime: 1, priority: 1 }
+  ];
+  assert.deepEqual(gantt(new Scheduler(processes, { preemptive: false }).runToCompletion()), ["L:0-3 H:3-4 L:4-6"]);
+  assert.deepEqual(gantt(new Scheduler(processes, { preemptive: true }).runToCompletion()), ["L:0-2 H:2-3 L:3-6"]);
+});
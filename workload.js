@@ -0,0 +1,497 @@
+// ===== Workload Import/Export =====
+// Headless helpers for saving and loading process tables and settings.
+// Shared by the page (script.js) and Node (require("./workload.js")).
+
+// Default settings and policy names that imported workloads are checked against
+const schedulerModule = typeof module !== "undefined" && module.exports
+  ? require("./scheduler.js")
+  : { DEFAULT_SETTINGS, POLICIES };
+
+const WORKLOAD_VERSION = 1;
+
+// Level and CPU counts the page offers; workloads outside them are rejected
+const MIN_LEVELS = 2;
+const MAX_LEVELS = 8;
+const MAX_CPUS = 8;
+const CSV_COLUMNS = ["name", "arrivalTime", "burstTime", "priority"];
+
+// Header aliases accepted on CSV import (lower-case, spaces removed)
+const CSV_HEADER_ALIASES = {
+  name: "name",
+  process: "name",
+  arrival: "arrivalTime",
+  arrivaltime: "arrivalTime",
+  burst: "burstTime",
+  bursttime: "burstTime",
+  priority: "priority"
+};
+
+// Process names: letters, digits, "_", "-" and "." only. Names are shown on the page and
+// in exported charts, and quiz answers are names separated by spaces or commas
+const PROCESS_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/;
+
+function isInteger(value) {
+  return typeof value === "number" && Number.isInteger(value);
+}
+
+// Parse a numeric field from text; blank or non-integer text becomes NaN
+function toInteger(value) {
+  if (typeof value === "number") return value;
+  const text = String(value === undefined || value === null ? "" : value).trim();
+  return /^-?\d+$/.test(text) ? parseInt(text, 10) : NaN;
+}
+
+// ===== Burst Sequences =====
+// A process alternates CPU and I/O bursts, written "5,io3,4,io2,2": it must start
+// and end with a CPU burst. Parsed sequences are plain number lists [5, 3, 4, 2, 2]
+// (even indexes CPU, odd indexes I/O); a single CPU burst is just a burst time.
+
+function cpuTotal(bursts) {
+  return bursts.filter((_, i) => i % 2 === 0).reduce((sum, b) => sum + b, 0);
+}
+
+// Problems with a burst list, as messages (empty when valid)
+function validateBursts(bursts) {
+  if (!Array.isArray(bursts) || bursts.length % 2 === 0) {
+    return ["bursts must alternate CPU and I/O, starting and ending with CPU"];
+  }
+  return bursts.every(b => isInteger(b) && b >= 1) ? [] : ["every burst must be a whole number of 1 or more"];
+}
+
+/**
+ * Parse a burst cell: "20" or "5,io3,4,io2,2".
+ * @returns {{burstTime: number, bursts?: number[], error?: string}} `bursts` only when there is I/O
+ */
+function parseBurstSequence(text) {
+  const tokens = String(text === undefined || text === null ? "" : text).split(",").map(t => t.trim());
+  const bursts = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const io = i % 2 === 1;
+    const match = (io ? /^io(\d+)$/i : /^(\d+)$/).exec(tokens[i]);
+    if (!match) {
+      return { burstTime: NaN, error: `burst "${text}" must be a number or a sequence like 5,io3,4 (CPU first and last)` };
+    }
+    bursts.push(parseInt(match[1], 10));
+  }
+  const errors = validateBursts(bursts);
+  if (errors.length > 0) return { burstTime: NaN, error: errors[0] };
+  return bursts.length > 1 ? { burstTime: cpuTotal(bursts), bursts } : { burstTime: bursts[0] };
+}
+
+function formatBurstSequence(bursts) {
+  return bursts.map((b, i) => (i % 2 === 1 ? `io${b}` : String(b))).join(",");
+}
+
+/**
+ * Problems with one process row, as `{ field, message }` (empty when the row is valid).
+ * `field` is the property at fault: name, arrivalTime, burstTime (also for `bursts`) or priority.
+ * @param {{name: string, arrivalTime: number, burstTime: number, priority: number, bursts?: number[]}} p
+ * @param {number} levels number of priority levels the row must fit
+ */
+function processFieldErrors(p, levels) {
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+  if (typeof p.name !== "string" || p.name.trim() === "") {
+    add("name", "name is required");
+  } else if (!PROCESS_NAME_PATTERN.test(p.name)) {
+    add("name", "name must be 1-32 letters, digits, \"_\", \"-\" or \".\" (no spaces)");
+  }
+  if (!isInteger(p.arrivalTime) || p.arrivalTime < 0) {
+    add("arrivalTime", "arrival time must be a whole number of 0 or more");
+  }
+  if (!isInteger(p.burstTime) || p.burstTime < 1) {
+    add("burstTime", "burst time must be a whole number of 1 or more");
+  }
+  if (p.bursts !== undefined) {
+    const burstErrors = validateBursts(p.bursts);
+    burstErrors.forEach(message => add("burstTime", message));
+    if (burstErrors.length === 0 && p.burstTime !== cpuTotal(p.bursts)) {
+      add("burstTime", "burst time must equal the total of the CPU bursts");
+    }
+  }
+  if (!isInteger(p.priority) || p.priority < 1 || p.priority > levels) {
+    add("priority", `priority must be between 1 and ${levels}`);
+  }
+  return errors;
+}
+
+// Problems with one process row, as messages (empty when the row is valid)
+function validateProcess(p, levels) {
+  return processFieldErrors(p, levels).map(error => error.message);
+}
+
+/**
+ * Problems with a settings object, as `{ field, level, message }` (empty when valid).
+ * `field` is the settings key at fault; `level` (1-based) is set for per-level lists.
+ */
+function settingsFieldErrors(settings) {
+  const errors = [];
+  const add = (field, message, level = null) => errors.push({ field, level, message });
+  const positive = (field, value, label, level = null) => {
+    if (!isInteger(value) || value < 1) add(field, `${label} must be a whole number of 1 or more`, level);
+  };
+  const inRange = (field, value, min, max) => {
+    if (!isInteger(value) || value < min || value > max) add(field, `${field} must be a whole number from ${min} to ${max}`);
+  };
+  // Per-level lists must match the level count (when that is valid itself)
+  const levelsValid = isInteger(settings.levels) && settings.levels >= MIN_LEVELS && settings.levels <= MAX_LEVELS;
+  const perLevel = (field, list) => {
+    if (levelsValid && list.length !== settings.levels) {
+      add(field, `${field} must have ${settings.levels} values, one per level (found ${list.length})`);
+    }
+  };
+  inRange("levels", settings.levels, MIN_LEVELS, MAX_LEVELS);
+  if (settings.cpus !== undefined) inRange("cpus", settings.cpus, 1, MAX_CPUS);
+  if (!Array.isArray(settings.quantum)) {
+    add("quantum", "quantum must be a list with one value per level");
+  } else {
+    perLevel("quantum", settings.quantum);
+    settings.quantum.forEach((q, i) => positive("quantum", q, `quantum for level ${i + 1}`, i + 1));
+  }
+  if (settings.policy !== undefined) {
+    if (!Array.isArray(settings.policy)) {
+      add("policy", "policy must be a list with one value per level");
+    } else {
+      perLevel("policy", settings.policy);
+      settings.policy.forEach((policy, i) => {
+        const policies = schedulerModule.POLICIES;
+        if (!policies[policy]) add("policy", `policy for level ${i + 1} must be one of ${Object.keys(policies).join(", ")}`, i + 1);
+      });
+    }
+  }
+  positive("agingInterval", settings.agingInterval, "agingInterval");
+  positive("starvationInterval", settings.starvationInterval, "starvationInterval");
+  positive("expiryDemotionInterval", settings.expiryDemotionInterval, "expiryDemotionInterval");
+  if (settings.cpuQueues !== undefined && !["shared", "per-core"].includes(settings.cpuQueues)) {
+    add("cpuQueues", "cpuQueues must be \"shared\" or \"per-core\"");
+  }
+  if (settings.migration !== undefined && typeof settings.migration !== "boolean") {
+    add("migration", "migration must be true or false");
+  }
+  if (settings.ioPriorityBoost !== undefined && typeof settings.ioPriorityBoost !== "boolean") {
+    add("ioPriorityBoost", "ioPriorityBoost must be true or false");
+  }
+  if (settings.contextSwitchCost !== undefined && (!isInteger(settings.contextSwitchCost) || settings.contextSwitchCost < 0)) {
+    add("contextSwitchCost", "contextSwitchCost must be a whole number of 0 or more");
+  }
+  if (settings.preemptedPlacement !== undefined && !["front", "back"].includes(settings.preemptedPlacement)) {
+    add("preemptedPlacement", "preemptedPlacement must be \"front\" or \"back\"");
+  }
+  if (settings.preemptedQuantum !== undefined && !["preserve", "reset"].includes(settings.preemptedQuantum)) {
+    add("preemptedQuantum", "preemptedQuantum must be \"preserve\" or \"reset\"");
+  }
+  return errors;
+}
+
+// Problems with a settings object, as messages (empty when valid)
+function validateSettings(settings) {
+  return settingsFieldErrors(settings).map(error => error.message);
+}
+
+function pickProcessFields(p) {
+  const fields = { name: p.name, arrivalTime: p.arrivalTime, burstTime: p.burstTime, priority: p.priority };
+  if (p.bursts !== undefined) {
+    fields.bursts = Array.isArray(p.bursts) ? p.bursts.slice() : p.bursts;
+    // Files may leave out burstTime when they list the bursts
+    if (fields.burstTime === undefined && Array.isArray(p.bursts)) fields.burstTime = cpuTotal(p.bursts);
+  }
+  return fields;
+}
+
+// Workload object written to files and links; `changes` (mid-run injections and
+// settings changes, see Scheduler#changes) only when there are any
+function workloadData(processes, settings, changes) {
+  const data = { version: WORKLOAD_VERSION, settings, processes: processes.map(pickProcessFields) };
+  if (changes && changes.length > 0) data.changes = changes;
+  return data;
+}
+
+/**
+ * Check recorded mid-run changes against the workload they apply to. Injected
+ * processes must be valid and uniquely named; settings changes must leave valid
+ * settings. Errors are `{ row: null, message }` naming the 1-based change.
+ */
+function parseChanges(list, processes, settings) {
+  const errors = [];
+  const changes = [];
+  const names = new Set(processes.map(p => p.name));
+  let current = settings;
+  let lastTime = 0;
+  list.forEach((change, i) => {
+    const add = message => errors.push({ row: null, message: `Change ${i + 1}: ${message}` });
+    if (!change || typeof change !== "object") {
+      add("expected an object");
+      return;
+    }
+    if (!isInteger(change.time) || change.time < lastTime) {
+      add(`time must be a whole number of ${lastTime} or more (changes are listed in time order)`);
+      return;
+    }
+    lastTime = change.time;
+    if (change.type === "inject") {
+      const process = pickProcessFields(change.process || {});
+      delete process.arrivalTime; // injected processes arrive when the change is applied
+      validateProcess(Object.assign({ arrivalTime: change.time }, process), current.levels).forEach(add);
+      if (names.has(process.name)) add(`process ${process.name} is already in the workload`);
+      names.add(process.name);
+      changes.push({ time: change.time, type: "inject", process });
+    } else if (change.type === "settings") {
+      const values = Object.assign({}, change.settings || {});
+      // The level and CPU counts are fixed for a run
+      delete values.levels;
+      delete values.cpus;
+      current = Object.assign({}, current, values);
+      validateSettings(current).forEach(add);
+      changes.push({ time: change.time, type: "settings", settings: values });
+    } else {
+      add("type must be \"inject\" or \"settings\"");
+    }
+  });
+  return { changes, errors };
+}
+
+// ===== JSON =====
+function serializeWorkload(processes, settings, changes = []) {
+  return JSON.stringify(workloadData(processes, settings, changes), null, 2);
+}
+
+/**
+ * Parse a workload saved by serializeWorkload().
+ * Missing settings fall back to DEFAULT_SETTINGS; errors are `{ row, message }`
+ * where `row` is the 1-based process index, or null for file/settings/change problems.
+ * `changes` is empty for workloads saved before a run.
+ */
+function parseWorkloadJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { processes: [], settings: null, changes: [], errors: [{ row: null, message: `Not valid JSON: ${e.message}` }] };
+  }
+  if (!data || typeof data !== "object" || !Array.isArray(data.processes)) {
+    return { processes: [], settings: null, changes: [], errors: [{ row: null, message: "Expected an object with a \"processes\" list" }] };
+  }
+
+  const defaults = schedulerModule.DEFAULT_SETTINGS;
+  const given = data.settings || {};
+  const settings = Object.assign({}, defaults, given);
+  if (given.levels === undefined) {
+    // Files without a level count: size it from the per-level lists
+    settings.levels = Array.isArray(settings.quantum) ? settings.quantum.length : defaults.levels;
+  }
+  if (isInteger(settings.levels) && settings.levels >= MIN_LEVELS && settings.levels <= MAX_LEVELS) {
+    // Per-level lists the file leaves out get the default for every level
+    if (given.quantum === undefined) settings.quantum = new Array(settings.levels).fill(defaults.quantum[0]);
+    if (given.policy === undefined) settings.policy = new Array(settings.levels).fill(defaults.policy[0]);
+  }
+  const errors = validateSettings(settings).map(message => ({ row: null, message: `Settings: ${message}` }));
+
+  const processes = data.processes.map(p => pickProcessFields(p || {}));
+  processes.forEach((p, i) => {
+    validateProcess(p, settings.levels).forEach(message => errors.push({ row: i + 1, message }));
+  });
+  errors.push(...duplicateNameErrors(processes, i => i + 1));
+
+  if (data.changes !== undefined && !Array.isArray(data.changes)) {
+    errors.push({ row: null, message: "\"changes\" must be a list" });
+    return { processes, settings, changes: [], errors };
+  }
+  const parsed = parseChanges(data.changes || [], processes, settings);
+  errors.push(...parsed.errors);
+  return { processes, settings, changes: parsed.changes, errors };
+}
+
+// ===== URL Hash =====
+// "#w=z<base64url>" is deflate-compressed JSON; "#w=j<base64url>" is plain JSON,
+// used where CompressionStream is unavailable.
+const HASH_PREFIX = "#w=";
+
+function bytesToBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlToBytes(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
+
+// Run bytes through a CompressionStream/DecompressionStream
+function pipeBytes(bytes, stream) {
+  const piped = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Response(piped).arrayBuffer().then(buffer => new Uint8Array(buffer));
+}
+
+/** Hash fragment (including "#w=") carrying the process table, settings and any mid-run changes. */
+function encodeWorkloadHash(processes, settings, changes = []) {
+  const json = JSON.stringify(workloadData(processes, settings, changes));
+  const bytes = new TextEncoder().encode(json);
+  if (typeof CompressionStream === "undefined") {
+    return Promise.resolve(`${HASH_PREFIX}j${bytesToBase64Url(bytes)}`);
+  }
+  return pipeBytes(bytes, new CompressionStream("deflate-raw"))
+    .then(compressed => `${HASH_PREFIX}z${bytesToBase64Url(compressed)}`);
+}
+
+/**
+ * Decode a hash made by encodeWorkloadHash(). Resolves to the same shape as
+ * parseWorkloadJSON(), or null when the hash carries no workload.
+ */
+function decodeWorkloadHash(hash) {
+  if (!hash || !hash.startsWith(HASH_PREFIX)) return Promise.resolve(null);
+  const format = hash.charAt(HASH_PREFIX.length);
+  const payload = hash.slice(HASH_PREFIX.length + 1);
+  const fail = message => ({ processes: [], settings: null, changes: [], errors: [{ row: null, message }] });
+
+  let bytes;
+  try {
+    bytes = base64UrlToBytes(payload);
+  } catch (e) {
+    return Promise.resolve(fail("The link is damaged (not valid base64)"));
+  }
+  let decoded;
+  if (format === "j") {
+    decoded = Promise.resolve(bytes);
+  } else if (format === "z" && typeof DecompressionStream !== "undefined") {
+    decoded = pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+  } else {
+    return Promise.resolve(fail("This browser cannot read compressed links"));
+  }
+  return decoded
+    .then(raw => parseWorkloadJSON(new TextDecoder().decode(raw)))
+    .catch(() => fail("The link is damaged (could not decompress)"));
+}
+
+// ===== CSV =====
+// The burstTime column holds the burst sequence ("5,io3,4", quoted) for processes with I/O
+function processesToCSV(processes) {
+  const quote = value => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, "\"\"")}"` : String(value));
+  const lines = [CSV_COLUMNS.join(",")];
+  processes.forEach(p => {
+    const cells = CSV_COLUMNS.map(column => (column === "burstTime" && p.bursts ? formatBurstSequence(p.bursts) : p[column]));
+    lines.push(cells.map(quote).join(","));
+  });
+  return lines.join("\n") + "\n";
+}
+
+// Split one CSV line, honoring double-quoted cells
+function splitCSVLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === "\"" && line[i + 1] === "\"") {
+        cell += "\"";
+        i++;
+      } else if (ch === "\"") {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === "\"") {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Parse process rows from CSV. The header line is optional; without it columns
+ * are name, arrivalTime, burstTime, priority. Errors are `{ row, message }` with
+ * `row` the 1-based line number in the file.
+ */
+function parseProcessCSV(text, levels) {
+  const lines = text.split(/\r?\n/);
+  const processes = [];
+  const errors = [];
+  let columns = CSV_COLUMNS;
+  let firstLine = true;
+
+  lines.forEach((line, i) => {
+    if (line.trim() === "") return;
+    const cells = splitCSVLine(line);
+
+    // First non-blank line is a header when its cells are all known column names
+    if (firstLine) {
+      firstLine = false;
+      const mapped = cells.map(cell => CSV_HEADER_ALIASES[cell.toLowerCase().replace(/\s+/g, "")]);
+      if (mapped.every(Boolean)) {
+        columns = mapped;
+        return;
+      }
+    }
+
+    if (cells.length !== columns.length) {
+      errors.push({ row: i + 1, message: `expected ${columns.length} values, found ${cells.length}` });
+      return;
+    }
+    const raw = {};
+    columns.forEach((column, c) => { raw[column] = cells[c]; });
+    const burst = parseBurstSequence(raw.burstTime);
+    const p = {
+      name: raw.name,
+      arrivalTime: toInteger(raw.arrivalTime),
+      burstTime: burst.burstTime,
+      priority: toInteger(raw.priority)
+    };
+    if (burst.bursts) p.bursts = burst.bursts;
+    validateProcess(p, levels)
+      .map(message => (burst.error && message.startsWith("burst time") ? burst.error : message))
+      .forEach(message => errors.push({ row: i + 1, message }));
+    p.line = i + 1;
+    processes.push(p);
+  });
+
+  errors.push(...duplicateNameErrors(processes, i => processes[i].line));
+  processes.forEach(p => delete p.line);
+  if (processes.length === 0 && errors.length === 0) {
+    errors.push({ row: null, message: "No process rows found" });
+  }
+  return { processes, errors };
+}
+
+// Process names key arrivals and Gantt merging, so they must be unique
+function duplicateNameErrors(processes, rowOf) {
+  const seen = new Map();
+  const errors = [];
+  processes.forEach((p, i) => {
+    if (typeof p.name !== "string" || p.name.trim() === "") return;
+    if (seen.has(p.name)) {
+      errors.push({ row: rowOf(i), message: `duplicate process name "${p.name}" (first used on row ${rowOf(seen.get(p.name))})` });
+    } else {
+      seen.set(p.name, i);
+    }
+  });
+  return errors;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    WORKLOAD_VERSION,
+    MIN_LEVELS,
+    MAX_LEVELS,
+    MAX_CPUS,
+    processFieldErrors,
+    validateProcess,
+    settingsFieldErrors,
+    validateSettings,
+    duplicateNameErrors,
+    parseBurstSequence,
+    formatBurstSequence,
+    serializeWorkload,
+    parseWorkloadJSON,
+    encodeWorkloadHash,
+    decodeWorkloadHash,
+    processesToCSV,
+    parseProcessCSV
+  };
+}